@@ -6,15 +6,430 @@ declare module 'enhanced-module-alias' {
     base?: string
     debug?: boolean
     hotReload?: boolean
+    tsconfig?: string | boolean
+    conditions?: string[]
+    // Default: true for every package but the first to call init()
+    scope?: boolean
+    workspaces?: boolean
+    watchDebounce?: number
+    config?: string | false
+    cache?: CacheOptions
+    persistentCache?: string
+    metrics?: boolean | MetricsOptions
+    rulesMode?: RulesMode
+    graph?: boolean
+    propagate?: boolean
+    freeze?: boolean | FreezeOptions
+  }
+
+  export interface CacheOptions {
+    max?: number
+    ttl?: number
+  }
+
+  export interface AliasMatcher {
+    sorted: string[]
+    match(request: string): AliasMatch | null
+  }
+
+  export interface LRUCache<V = any> {
+    readonly size: number
+    max: number
+    ttl: number
+    hits: number
+    misses: number
+    evictions: number
+    get(key: string): V | undefined
+    peek(key: string): V | undefined
+    set(key: string, value: V): void
+    delete(key: string): boolean
+    clear(): void
+    configure(options?: CacheOptions): void
+    resetStats(): void
+  }
+
+  export interface PersistentCache {
+    file: string
+    readonly size: number
+    hits: number
+    misses: number
+    stale: number
+    load(configHash: string): boolean
+    get(request: string, parentFilename: string): string | undefined
+    set(request: string, parentFilename: string, filename: string, resolvedRequest: string): void
+    clear(): void
+    save(configHash: string): boolean
+  }
+
+  export interface FreezeOptions {
+    // Manifest written by snapshot()
+    snapshot?: string
+    // Directory its paths are relative to, default: the base of init()
+    root?: string
+  }
+
+  export interface FrozenState {
+    targets: Readonly<Record<string, { target: AliasTarget, condition?: string } | null>>
+    conditions: string[]
+    snapshot: { file: string, resolutions: Map<string, string>, hits: number } | null
+    snapshotError: string | null
+  }
+
+  export interface FrozenStats {
+    conditions: string[]
+    snapshotError: string | null
+    snapshot: { file: string, size: number, hits: number } | null
+  }
+
+  export interface SnapshotManifest {
+    version: number
+    configHash: string
+    created: string
+    // Parent file -> request -> filename, relative to the project root
+    resolutions: Record<string, Record<string, string>>
+  }
+
+  export interface SnapshotOptions {
+    cwd?: string
+    // Directory the manifest paths are relative to, default: the base of init(), else cwd
+    root?: string
+    // Where to write the manifest, relative to cwd
+    file?: string
+  }
+
+  export interface SnapshotResult {
+    manifest: SnapshotManifest
+    file?: string
+    files: number
+    resolutions: number
+    unresolved: Array<{ file: string, line: number, column: number, specifier: string, error: string }>
+    errors: Array<{ file: string, error: string }>
+  }
+
+  export interface PersistentCacheStats {
+    file: string
+    size: number
+    hits: number
+    misses: number
+    stale: number
+  }
+
+  export interface AliasConfig {
+    $schema?: string
+    aliases?: Record<string, AliasTarget>
+    moduleDirectories?: string[]
+    rules?: BoundaryRule[]
+  }
+
+  export type RulesMode = 'warn' | 'error' | 'off'
+
+  export interface BoundaryRule {
+    from: string | string[]
+    disallow: string[]
+    allow?: string[]
+    mode?: RulesMode
+    message?: string
+  }
+
+  export interface CompiledBoundaryRule {
+    from: string[]
+    disallow: string[]
+    allow: string[]
+    mode?: RulesMode
+    message?: string
+    base: string
+    source?: string
+    fromRegExps: RegExp[]
+    disallowRegExps: RegExp[]
+    allowRegExps: RegExp[]
+  }
+
+  export interface AddRulesOptions {
+    base?: string
+    source?: string
+  }
+
+  export interface BoundaryViolation {
+    parent: string
+    request: string
+    alias: string
+    pattern: string
+    mode: 'warn' | 'error'
+    message: string
+    rule: { from: string[], disallow: string[], allow: string[], source?: string }
+  }
+
+  export interface BoundaryReport {
+    total: number
+    violations: Array<BoundaryViolation & { count: number }>
+  }
+
+  export interface BoundaryCheckResult {
+    files: number
+    specifiers: number
+    violations: Array<{
+      file: string
+      line: number
+      column: number
+      kind: 'import' | 'export' | 'dynamic-import' | 'require' | 'require.resolve'
+      specifier: string
+      alias: string
+      pattern: string
+      mode: 'warn' | 'error'
+      message: string
+      rule: BoundaryViolation['rule']
+    }>
+    errors: Array<{ file: string, error: string }>
+  }
+
+  export interface DependencyEdge {
+    from: string
+    to: string
+    request: string
+    alias: string | null
+  }
+
+  export interface DependencyCycle {
+    files: string[]
+    edges: DependencyEdge[]
+  }
+
+  export interface DependencyGraphJSON {
+    nodes: Array<{ id: string, alias: string | null }>
+    edges: DependencyEdge[]
+    cycles: DependencyCycle[]
+  }
+
+  export interface CircularDependencyEvent {
+    files: string[]
+    requests: string[]
+    aliases: string[]
+  }
+
+  export interface DependencyGraph {
+    nodes: Map<string, { id: string, alias: string | null }>
+    edges: Map<string, Map<string, DependencyEdge>>
+    cycles: DependencyCycle[]
+    // Only returns a cycle when `loading`, i.e. the required module has not finished loading
+    addEdge(parent: string, filename: string, request: string, alias: string | null, loading?: boolean): DependencyCycle | null
+    findPath(start: string, end: string): string[] | null
+    toJSON(): DependencyGraphJSON
+    toDot(options?: DotOptions): string
+  }
+
+  export interface DotOptions {
+    cwd?: string
+  }
+
+  export interface OverrideLayer {
+    scope?: string
+    aliases: Record<string, AliasTarget>
+    previous: Record<string, { target: AliasTarget, source?: string } | null>
+  }
+
+  export interface OverrideHandle {
+    aliases: Record<string, AliasTarget>
+    // require.cache keys dropped when the override was applied
+    evicted: string[]
+    // Returns the require.cache keys dropped; restoring twice does nothing
+    restore(): string[]
+  }
+
+  export type SerializedTarget = string | { $resolver: { module: string, export: string, async?: boolean } } | SerializedTarget[] | { [condition: string]: SerializedTarget }
+
+  export interface SerializedAlias {
+    alias: string | { regexp: string, flags: string }
+    target: SerializedTarget
+  }
+
+  export interface SerializedAliases {
+    version: number
+    aliases: SerializedAlias[]
+    scopes: Record<string, SerializedAlias[]>
+    paths: string[]
+    conditions: string[]
+    propagate: boolean
+    unsupported: Array<{ alias: string, scope: string | null, reason: string }>
+  }
+
+  export interface ConfigFileOptions {
+    scope?: string
+    watch?: boolean
+  }
+
+  export interface ConfigFileAliases {
+    config: AliasConfig
+    source: string
+    aliases: Record<string, AliasTarget>
+    paths: string[]
+  }
+
+  export interface TsconfigOptions {
+    outDir?: boolean
+    scope?: string
+    watch?: boolean
+  }
+
+  export interface TsconfigAliases {
+    config: TsconfigPaths
+    source: string
+    aliases: Record<string, AliasTarget>
+    paths: string[]
+    useOutDir: boolean
+  }
+
+  export interface FileWatcherHandle {
+    close(): void
+  }
+
+  export interface FileWatcher {
+    watch(path: string, callback: (event: 'add' | 'change' | 'unlink' | 'addDir' | 'unlinkDir', path: string) => void): FileWatcherHandle
+    close(): Promise<void>
+    ready(): Promise<void>
+    isWatching(path: string): boolean
+  }
+
+  export interface ResolutionDiagnostics {
+    request: string
+    alias: string | null
+    scope: string | null
+    target: string | null
+    resolved: string | null
+    targetExists: boolean | null
+    nearestAliases: string[]
+    closestFiles: string[]
+    suggestions: string[]
+  }
+
+  export interface ExplainOptions {
+    from?: string
+  }
+
+  export interface ExplainTrace {
+    request: string
+    from: string
+    scope: string | null
+    cache: { key: string, hit: boolean, value: string | null }
+    aliases: Array<{ alias: string, scope: string | null, matched: boolean, selected: boolean, reason: string }>
+    match: { alias: string, scope: string | null, matched: string, captures: string[] } | null
+    resolvers: Array<{ input: { fromPath: string, request: string, alias: string }, output: any, error?: string }>
+    fallbacks: Array<{ target: string, resolves: boolean }>
+    condition: string | null
+    target: string | null
+    resolved: string
+    modulePaths: Array<{ path: string, searched: boolean, used: boolean }>
+    candidates: Array<{ path: string, kind: 'file' | 'extension' | 'main' | 'index' | 'lookup', exists: boolean }>
+    filename: string | null
+    error: string | null
+  }
+
+  export interface FormatExplanationOptions {
+    color?: boolean
+  }
+
+  export interface AddAliasOptions {
+    scope?: string
+  }
+
+  export interface AliasTable {
+    root: string
+    moduleAliases: Record<string, AliasTarget>
+    moduleAliasNames: string[]
+    aliasPatterns: Record<string, { type: 'wildcard' | 'regexp', key: string, regexp: RegExp }>
+    aliasSources: Record<string, string>
+    matcher: AliasMatcher | null
+  }
+
+  export interface TsconfigPaths {
+    baseUrl?: string
+    paths?: Record<string, string[]>
+    pathsBase?: string
+    rootDir?: string
+    inferredRootDir: string
+    outDir?: string
+    files: string[]
+  }
+
+  export interface MetricsOptions {
+    interval?: number
+    buckets?: number[]
+    topParents?: number
+    maxParents?: number
+  }
+
+  export interface LatencyHistogram {
+    buckets: number[]
+    sum: number
+    count: number
+  }
+
+  export interface AliasMetricsEntry {
+    alias: string
+    scope: string | null
+    hits: number
+    misses: number
+    failures: number
+    resolverErrors: number
+    latency: LatencyHistogram
+  }
+
+  export interface DetailedMetrics {
+    since: string
+    buckets: number[]
+    latency: LatencyHistogram
+    aliases: AliasMetricsEntry[]
+    topParents: Array<{ parent: string, count: number }>
+  }
+
+  export interface AliasMetrics {
+    bounds: number[]
+    topParents: number
+    maxParents: number
+    aliases: Map<string, AliasMetricsEntry>
+    parents: Map<string, number>
+    latency: LatencyHistogram
+    since: number
+    reset(): void
+    cacheHit(alias: string, scope?: string): void
+    cacheMiss(alias: string, scope?: string): void
+    resolverError(alias: string, scope?: string): void
+    resolution(alias: string, scope: string | undefined, parentFilename: string | undefined, seconds: number, failed: boolean): void
+    pruneParents(): void
+    toJSON(): DetailedMetrics
+  }
+
+  export interface CachedResolution {
+    resolved: string
+    match: AliasMatch | null
+    target: string | null
+  }
+
+  export interface StatsOptions {
+    detailed?: boolean
+  }
+
+  export interface PrometheusOptions {
+    prefix?: string
   }
 
   export interface PerformanceStats {
     resolutions: number
     cacheHits: number
     aliasMatches: number
+    conditionMatches: Record<string, Record<string, number>>
+    activeConditions: string[]
     cacheSize: number
+    cacheMaxSize: number
+    cacheTtl: number
+    cacheMisses: number
+    cacheHitRate: number
+    cacheEvictions: number
+    persistentCache: PersistentCacheStats | null
+    frozen: FrozenStats | null
+    metrics?: DetailedMetrics | null
     aliasCount: number
     pathCount: number
+    scopeCount: number
   }
 
   export interface LogData {
@@ -26,49 +441,416 @@ declare module 'enhanced-module-alias' {
 
   export type AliasResolver = (fromPath: string, request: string, alias: string) => string
 
+  export type AsyncAliasResolver = (fromPath: string, request: string, alias: string) => Promise<string>
+
+  export interface AliasConditions {
+    [condition: string]: AliasTarget
+  }
+
+  export type AliasTarget = string | AliasResolver | AliasConditions | AliasTarget[]
+
+  export interface AliasResolvedEvent {
+    request: string
+    alias: string
+    scope?: string
+    condition?: string
+    target: string
+    resolved: string
+  }
+
+  export interface AliasesDiff {
+    source: string
+    scope?: string
+    aliases: {
+      added: Array<{ alias: string, target: AliasTarget }>
+      removed: Array<{ alias: string, target: AliasTarget }>
+      retargeted: Array<{ alias: string, from: AliasTarget, to: AliasTarget }>
+    }
+    paths: {
+      added: string[]
+      removed: string[]
+    }
+    evicted: string[]
+  }
+
+  export interface AliasMatch {
+    alias: string
+    matched: string
+    captures: string[]
+    scope?: string | null
+  }
+
+  export interface UnsupportedAlias {
+    alias?: string
+    path?: string
+    reason: string
+  }
+
+  export interface ExportResult<T> {
+    config: T
+    unsupported: UnsupportedAlias[]
+  }
+
+  export interface ExportEntry {
+    alias: string
+    type: 'prefix' | 'wildcard' | 'regexp'
+    regexp?: RegExp
+    targets?: string[]
+    error?: string
+  }
+
+  export interface WebpackResolveOptions {
+    alias: Record<string, string | string[]>
+    modules: string[]
+  }
+
+  export interface JestModuleNameMapperOptions {
+    moduleNameMapper: Record<string, string | string[]>
+    modulePaths: string[]
+  }
+
+  export interface ViteResolveOptions {
+    alias: Array<{ find: string | RegExp, replacement: string }>
+  }
+
+  export interface BabelModuleResolverOptions {
+    root: string[]
+    alias: Record<string, string>
+  }
+
+  export interface EslintImportResolverSettings {
+    alias: { map: Array<[string, string]> }
+    node: { paths: string[] }
+  }
+
+  export interface ExportOptions {
+    // Package root whose scoped aliases are exported, before the global ones they do not shadow
+    scope?: string
+  }
+
+  export interface TsconfigPathsOptions extends ExportOptions {
+    baseUrl?: string
+  }
+
+  export interface TsconfigPathsConfig {
+    compilerOptions: {
+      baseUrl: string
+      paths: Record<string, string[]>
+    }
+  }
+
+  export interface CodemodOptions {
+    reverse?: boolean
+    dryRun?: boolean
+    cwd?: string
+  }
+
+  export interface CodemodChange {
+    line: number
+    column: number
+    from: string
+    to: string
+  }
+
+  export interface CodemodResult {
+    file: string
+    changes: CodemodChange[]
+    diff?: string
+    error?: string
+  }
+
+  export interface AnalyzeOptions {
+    cwd?: string
+  }
+
+  export interface UnresolvedSpecifier {
+    file: string
+    line: number
+    column: number
+    kind: 'import' | 'export' | 'dynamic-import' | 'require' | 'require.resolve'
+    specifier: string
+    alias: string | null
+    request?: string
+    error: string
+  }
+
+  export interface AnalyzeResult {
+    files: number
+    specifiers: number
+    unresolved: UnresolvedSpecifier[]
+    errors: Array<{ file: string, error: string }>
+  }
+
+  export interface FormatAnalysisOptions {
+    format?: 'text' | 'json'
+    cwd?: string
+  }
+
   export class ModuleAliasManager extends EventEmitter {
     modulePaths: string[]
-    moduleAliases: Record<string, string | AliasResolver>
+    moduleAliases: Record<string, AliasTarget>
     moduleAliasNames: string[]
+    aliasSources: Record<string, string>
+    pathSources: Record<string, string>
+    scopes: Map<string, AliasTable>
+    aliasModules: Map<string, Map<string, { request: string, filename: string, parent: string | null }>>
+    overrides: OverrideLayer[]
+    rules: CompiledBoundaryRule[]
+    // SUPER_ALIAS_CONDITIONS and NODE_ENV as of the last resolution
+    envConditions: string
+    rulesMode: RulesMode
+    boundaryViolations: Map<string, BoundaryViolation & { count: number }>
     debugMode: boolean
+    disposed: boolean
+    resolutionCache: LRUCache<CachedResolution>
+    persistentCache: PersistentCache | null
+    frozen: FrozenState | null
+    projectRoot: string | null
+    metrics: AliasMetrics | null
+    graph: DependencyGraph | null
+    propagation: { register: string, option: string | null, execArgv: boolean, listener: () => void } | null
+    watchers: Map<string, FileWatcherHandle>
+    fileWatcher: FileWatcher | null
+    watchDebounce: number
+    targetStatus: Map<string, boolean>
+    asyncResolvers: Map<AsyncAliasResolver, Map<string, string>>
+    readonly oldResolveFilename: (request: string, parent: any, isMain?: boolean, options?: any) => string
+    readonly oldNodeModulePaths: (from: string) => string[]
 
     constructor()
 
     log(level: 'debug' | 'info' | 'warn' | 'error', message: string, data?: Record<string, any>): void
     
-    isPathMatchesAlias(path: string, alias: string): boolean
-    
+    isPathMatchesAlias(path: string, alias: string | RegExp): boolean
+
+    getCachedResolution(key: string): CachedResolution | null
+
+    setCachedResolution(key: string, value: CachedResolution): void
+
+    configureCache(options: CacheOptions): void
+
+    aliasConfigHash(root?: string): string
+
+    isPersistable(match: AliasMatch): boolean
+
+    enablePersistentCache(file: string): PersistentCache
+
+    savePersistentCache(): boolean
+
+    disablePersistentCache(): void
+
+    freeze(options?: FreezeOptions): void
+
+    assertNotFrozen(action: string): void
+
+    getSnapshotResolution(request: string, parentFilename: string): string | undefined
+
+    snapshot(patterns: string | string[], options?: SnapshotOptions): SnapshotResult
+
+    snapshotRoot(options: { root?: string, cwd?: string }): string
+
+    stopWatching(): void
+
+    getAliasMatcher(table?: AliasTable | ModuleAliasManager): AliasMatcher
+
+    matchAlias(path: string, alias: string | RegExp, table?: AliasTable | ModuleAliasManager): AliasMatch | null
+
+    findAliasMatch(request: string, filename?: string): AliasMatch | null
+
+    findAlias(request: string, filename?: string): string | null
+
+    findScope(filename: string): string | null
+
+    getAliasTable(scope?: string | null, create?: boolean): AliasTable | ModuleAliasManager | null
+
     resolveAlias(request: string, parentModule?: NodeModule): string
+
+    resolveRequest(request: string, parentModule?: NodeModule): CachedResolution
     
+    getActiveConditions(): string[]
+
+    setConditions(conditions: string[]): void
+
+    // Clear the resolution cache when NODE_ENV or SUPER_ALIAS_CONDITIONS changed
+    syncEnvConditions(): void
+
+    selectCondition(target: AliasConditions, conditions?: string[]): { condition: string, target: AliasTarget } | null
+
+    resolveTarget(target: AliasTarget, match: AliasMatch, request: string, parentModule?: NodeModule, trace?: ExplainTrace): { target: string, condition?: string } | null
+
+    // Resolver functions are only used through a resolution of resolveRequest()
+    diagnoseResolution(request: string, parentModule?: NodeModule | { filename: string }, resolution?: CachedResolution): ResolutionDiagnostics
+
+    explain(request: string, options?: ExplainOptions): ExplainTrace
+
+    formatExplanation(trace: ExplainTrace, options?: FormatExplanationOptions): string
+
+    // Diagnosed on first access to the message, stack or aliasDiagnostics
+    annotateResolutionError<T extends Error>(error: T, request: string, parentModule?: NodeModule | { filename: string }, resolution?: CachedResolution): T & { aliasDiagnostics?: ResolutionDiagnostics }
+
+    canResolve(request: string, parentModule?: NodeModule | { filename: string }): boolean
+
     validateAliasTarget(target: string): boolean
+
+    validateAliasTargetAsync(target: string): Promise<boolean>
     
-    watchPackageJson(packageJsonPath: string): void
+    getFileWatcher(): FileWatcher
+
+    watchConfigFile(file: string, reload: () => void): void
+
+    watchPackageJson(packageJsonPath: string, scope?: string): void
+
+    watchTsconfig(tsconfigPath: string, files: string[], options?: TsconfigOptions): void
+
+    watchAliasTargets(target: AliasTarget): void
+
+    watchTargets(): void
     
-    reloadAliases(packageJsonPath: string): void
+    reloadAliases(packageJsonPath: string, scope?: string): AliasesDiff | undefined
+
+    reloadTsconfig(tsconfigPath: string, options?: TsconfigOptions): AliasesDiff | undefined
+
+    applySourceDiff(source: string, aliases: Record<string, AliasTarget>, paths?: string[], scope?: string): AliasesDiff
+
+    trackAliasModule(request: string, parentModule: NodeModule | { filename: string } | null, filename: string, match?: AliasMatch | null): void
+
+    // parents: also evict every module that required them, except caller
+    evictModules(diff: AliasesDiff, options?: { parents?: boolean, caller?: string | null }): string[]
     
     addPath(path: string): void
+
+    removePath(path: string): boolean
     
-    addAlias(alias: string, target: string | AliasResolver): void
+    addAlias(alias: string | RegExp, target: AliasTarget, options?: AddAliasOptions): void
     
-    addAliases(aliases: Record<string, string | AliasResolver>): void
+    addAliases(aliases: Record<string, AliasTarget>, options?: AddAliasOptions): void
+
+    override(aliases: Record<string, AliasTarget>, options?: AddAliasOptions): OverrideHandle
+
+    restoreOverride(layer: OverrideLayer): string[]
+
+    withAliases<T>(aliases: Record<string, AliasTarget>, fn: () => T, options?: AddAliasOptions): T
+
+    removeAlias(alias: string | RegExp, options?: AddAliasOptions): boolean
+
+    addPackageAliases(npmPackage: Record<string, any>, packageJsonPath: string, scope?: string): void
+
+    addWorkspaces(root: string, rootPackage: Record<string, any>, options?: ModuleAliasOptions): string[]
+
+    readTsconfig(tsconfigPath: string, options?: TsconfigOptions): TsconfigAliases
+
+    addTsconfig(tsconfigPath: string, options?: TsconfigOptions): TsconfigPaths
+
+    validatePackageConfig(npmPackage: Record<string, any>, packageJsonPath: string): void
+
+    readConfigFile(configPath: string): ConfigFileAliases
+
+    addConfigFile(configPath: string, options?: ConfigFileOptions): AliasConfig
+
+    reloadConfigFile(configPath: string, options?: ConfigFileOptions): AliasesDiff | undefined
     
     resolveAsync(request: string, parentModule?: NodeModule): Promise<string>
+
+    addAsyncAlias(alias: string | RegExp, resolver: AsyncAliasResolver, options?: AddAliasOptions): void
+
+    preload(): Promise<string[]>
+
+    registerEsm(): void
+
+    getExportEntries(options?: ExportOptions): ExportEntry[]
+
+    getTableExportEntries(table: AliasTable | ModuleAliasManager): ExportEntry[]
+
+    toWebpack(options?: ExportOptions): ExportResult<WebpackResolveOptions>
+
+    toJestModuleNameMapper(options?: ExportOptions): ExportResult<JestModuleNameMapperOptions>
+
+    toVite(options?: ExportOptions): ExportResult<ViteResolveOptions>
+
+    toBabelModuleResolver(options?: ExportOptions): ExportResult<BabelModuleResolverOptions>
+
+    toEslintImportResolver(options?: ExportOptions): ExportResult<EslintImportResolverSettings>
+
+    toTsconfigPaths(options?: TsconfigPathsOptions): ExportResult<TsconfigPathsConfig>
+
+    codemod(paths: string | string[], options?: CodemodOptions): CodemodResult[]
+
+    analyze(patterns: string | string[], options?: AnalyzeOptions): AnalyzeResult
+
+    formatAnalysis(result: AnalyzeResult, options?: FormatAnalysisOptions): string
+
+    addRules(rules: BoundaryRule | BoundaryRule[], options?: AddRulesOptions): CompiledBoundaryRule[]
+
+    setSourceRules(source: string, rules: BoundaryRule[], base: string): void
+
+    setRulesMode(mode: RulesMode): void
+
+    findBoundaryViolation(request: string, parentFilename: string): BoundaryViolation | null
+
+    enforceBoundaries(request: string, parentModule?: NodeModule | { filename: string }): void
+
+    getBoundaryReport(): BoundaryReport
+
+    enableGraph(): DependencyGraph
+
+    disableGraph(): void
+
+    recordDependency(request: string, parentModule: NodeModule | undefined, filename: string, aliasManager: ModuleAliasManager | null): void
+
+    getDependencyGraph(): DependencyGraphJSON | null
+
+    toDot(options?: DotOptions): string
+
+    serialize(): SerializedAliases
+
+    hydrate(state: SerializedAliases): void
+
+    enablePropagation(): void
+
+    updatePropagatedState(): void
+
+    disablePropagation(): void
+
+    workerOptions<T extends object>(options?: T): T & { execArgv: string[], env: Record<string, string> }
+
+    checkBoundaries(patterns: string | string[], options?: AnalyzeOptions): BoundaryCheckResult
+
+    formatBoundaries(result: BoundaryCheckResult, options?: FormatAnalysisOptions): string
     
     reset(): void
+
+    setupHooks(): void
+
+    dispose(): void
     
     init(options?: ModuleAliasOptions | string): void
     
-    getStats(): PerformanceStats
+    getStats(options?: StatsOptions): PerformanceStats
+
+    enableMetrics(options?: MetricsOptions): AliasMetrics
+
+    disableMetrics(): void
+
+    toPrometheus(options?: PrometheusOptions): string
+
+    recordResolution(match: AliasMatch, parentModule: NodeModule | undefined, started: bigint, failed: boolean): void
     
     setDebugMode(enabled: boolean): void
 
     // Events
     on(event: 'log', callback: (data: LogData) => void): this
-    on(event: 'aliasesReloaded', callback: (data: { aliases: Record<string, string | AliasResolver> }) => void): this
+    on(event: 'aliasesReloaded', callback: (data: { aliases: Record<string, AliasTarget>, scope?: string }) => void): this
+    on(event: 'aliasesChanged', callback: (diff: AliasesDiff) => void): this
+    on(event: 'targetChanged', callback: (data: { target: string, exists: boolean }) => void): this
     on(event: 'pathAdded', callback: (data: { path: string }) => void): this
-    on(event: 'aliasAdded', callback: (data: { alias: string, target: string | AliasResolver }) => void): this
+    on(event: 'pathRemoved', callback: (data: { path: string }) => void): this
+    on(event: 'aliasRemoved', callback: (data: { alias: string, scope?: string }) => void): this
+    on(event: 'aliasAdded', callback: (data: { alias: string, target: AliasTarget, scope?: string }) => void): this
+    on(event: 'aliasResolved', callback: (data: AliasResolvedEvent) => void): this
+    on(event: 'conditionsChanged', callback: (data: { conditions: string[] }) => void): this
     on(event: 'reset', callback: () => void): this
-    on(event: 'initialized', callback: (data: { aliases: Record<string, string | AliasResolver>, paths: string[] }) => void): this
+    on(event: 'disposed', callback: () => void): this
+    on(event: 'initialized', callback: (data: { aliases: Record<string, AliasTarget>, paths: string[] }) => void): this
     on(event: string | symbol, listener: (...args: any[]) => void): this
 
     off(event: string | symbol, listener: (...args: any[]) => void): this
@@ -79,13 +861,53 @@ declare module 'enhanced-module-alias' {
 
   // Enhanced API
   export function addPath(path: string): void
-  export function addAlias(alias: string, target: string | AliasResolver): void
-  export function addAliases(aliases: Record<string, string | AliasResolver>): void
-  export function isPathMatchesAlias(path: string, alias: string): boolean
+  export function addAlias(alias: string | RegExp, target: AliasTarget, options?: AddAliasOptions): void
+  export function addAliases(aliases: Record<string, AliasTarget>, options?: AddAliasOptions): void
+  export function override(aliases: Record<string, AliasTarget>, options?: AddAliasOptions): OverrideHandle
+  export function withAliases<T>(aliases: Record<string, AliasTarget>, fn: () => T, options?: AddAliasOptions): T
+  export function removeAlias(alias: string | RegExp, options?: AddAliasOptions): boolean
+  export function removePath(path: string): boolean
+  export function reloadAliases(packageJsonPath: string, scope?: string): AliasesDiff | undefined
+  export function reloadTsconfig(tsconfigPath: string, options?: TsconfigOptions): AliasesDiff | undefined
+  export function addConfigFile(configPath: string, options?: ConfigFileOptions): AliasConfig
+  export function reloadConfigFile(configPath: string, options?: ConfigFileOptions): AliasesDiff | undefined
+  export function addTsconfig(tsconfigPath: string, options?: TsconfigOptions): TsconfigPaths
+  export function isPathMatchesAlias(path: string, alias: string | RegExp): boolean
   export function reset(): void
+  export function dispose(): void
   export function resolveAsync(request: string, parentModule?: NodeModule): Promise<string>
-  export function getStats(): PerformanceStats
+  export function addAsyncAlias(alias: string | RegExp, resolver: AsyncAliasResolver, options?: AddAliasOptions): void
+  export function preload(): Promise<string[]>
+  export function getStats(options?: StatsOptions): PerformanceStats
+  export function toPrometheus(options?: PrometheusOptions): string
+  export function savePersistentCache(): boolean
+  export function freeze(options?: FreezeOptions): void
+  export function snapshot(patterns: string | string[], options?: SnapshotOptions): SnapshotResult
+  export function diagnoseResolution(request: string, parentModule?: NodeModule | { filename: string }): ResolutionDiagnostics
+  export function explain(request: string, options?: ExplainOptions): ExplainTrace
+  export function formatExplanation(trace: ExplainTrace, options?: FormatExplanationOptions): string
+  export function registerEsm(): void
   export function setDebugMode(enabled: boolean): void
+  export function setConditions(conditions: string[]): void
+  export function toWebpack(options?: ExportOptions): ExportResult<WebpackResolveOptions>
+  export function toJestModuleNameMapper(options?: ExportOptions): ExportResult<JestModuleNameMapperOptions>
+  export function toVite(options?: ExportOptions): ExportResult<ViteResolveOptions>
+  export function toBabelModuleResolver(options?: ExportOptions): ExportResult<BabelModuleResolverOptions>
+  export function toEslintImportResolver(options?: ExportOptions): ExportResult<EslintImportResolverSettings>
+  export function toTsconfigPaths(options?: TsconfigPathsOptions): ExportResult<TsconfigPathsConfig>
+  export function codemod(paths: string | string[], options?: CodemodOptions): CodemodResult[]
+  export function analyze(patterns: string | string[], options?: AnalyzeOptions): AnalyzeResult
+  export function formatAnalysis(result: AnalyzeResult, options?: FormatAnalysisOptions): string
+  export function addRules(rules: BoundaryRule | BoundaryRule[], options?: AddRulesOptions): CompiledBoundaryRule[]
+  export function getBoundaryReport(): BoundaryReport
+  export function getDependencyGraph(): DependencyGraphJSON | null
+  export function toDot(options?: DotOptions): string
+  export function serialize(): SerializedAliases
+  export function hydrate(state: SerializedAliases): void
+  export function workerOptions<T extends object>(options?: T): T & { execArgv: string[], env: Record<string, string> }
+  export function resolverRef<F extends Function = AliasResolver>(modulePath: string, exportName?: string): F
+  export function checkBoundaries(patterns: string | string[], options?: AnalyzeOptions): BoundaryCheckResult
+  export function formatBoundaries(result: BoundaryCheckResult, options?: FormatAnalysisOptions): string
   export function on(event: string, callback: Function): void
   export function off(event: string, callback: Function): void
 
@@ -3,12 +3,176 @@
 const BuiltinModule = require('module')
 const nodePath = require('path')
 const fs = require('fs')
+const util = require('util')
+const crypto = require('crypto')
 const { EventEmitter } = require('events')
+const { loadTsconfig } = require('./lib/tsconfig')
+const { wildcardSource } = require('./lib/patterns')
+const exporters = require('./lib/exporters')
+const { findWorkspacePackages } = require('./lib/workspaces')
+const hooks = require('./lib/hooks')
+const { createWatcher } = require('./lib/watcher')
+const { findConfigFile, loadConfigFile, validateConfig } = require('./lib/config')
+const { editDistance, closestFiles, annotateErrorLazily } = require('./lib/diagnostics')
+const { traceCandidates, formatExplanation } = require('./lib/explain')
+const { LRUCache } = require('./lib/lru')
+const { createAliasMatcher } = require('./lib/matcher')
+const { PersistentCache } = require('./lib/persistent-cache')
+const { AliasMetrics, toPrometheus } = require('./lib/metrics')
+const { DependencyGraph } = require('./lib/graph')
+const { STATE_ENV, resolverRef, serializeState, hydrateState } = require('./lib/state')
+const { createSnapshot, loadSnapshot, resolutionKey } = require('./lib/snapshot')
+const { MODES: RULE_MODES, compileRule, findViolation, checkBoundaries, formatBoundaries } = require('./lib/boundaries')
+
+const Module = hooks.Module
+
+// Compile a wildcard ("@feature/*/api") or RegExp alias; plain aliases return null
+function compileAliasPattern (alias) {
+  if (alias instanceof RegExp) {
+    return {
+      type: 'regexp',
+      key: String(alias),
+      regexp: new RegExp(alias.source, alias.flags.replace(/[gy]/g, ''))
+    }
+  }
+
+  if (typeof alias !== 'string' || alias.indexOf('*') === -1) return null
+
+  return {
+    type: 'wildcard',
+    key: alias,
+    regexp: new RegExp(`^${wildcardSource(alias)}(?=$|[\\\\/])`)
+  }
+}
+
+// Conditions objects are keyed like package.json "exports" conditions
+function isConditionObject (target) {
+  return Boolean(target) && typeof target === 'object' && !Array.isArray(target)
+}
+
+function isValidTarget (target) {
+  if (typeof target === 'string') return target.length > 0
+  if (typeof target === 'function') return true
+  if (Array.isArray(target)) return target.length > 0 && target.every(isValidTarget)
+  if (!isConditionObject(target)) return false
+
+  const conditions = Object.keys(target)
+  return conditions.length > 0 && conditions.every(condition => isValidTarget(target[condition]))
+}
+
+// Apply fn to every path of a target, descending into conditions objects
+// and fallback arrays
+function mapTargets (target, fn) {
+  if (typeof target === 'string') return fn(target)
+  if (Array.isArray(target)) return target.map(candidate => mapTargets(candidate, fn))
+  if (!isConditionObject(target)) return target
+
+  const mapped = {}
+  for (const condition in target) {
+    mapped[condition] = mapTargets(target[condition], fn)
+  }
+  return mapped
+}
+
+// Aliases with targets relative to the directory of the file declaring them
+function relativeAliasTargets (aliases, base) {
+  const processedAliases = {}
+
+  for (const alias in aliases) {
+    processedAliases[alias] = mapTargets(aliases[alias], target => {
+      return target[0] !== '/' ? nodePath.join(base, target) : target
+    })
+  }
+
+  return processedAliases
+}
+
+// _moduleAliases and the "superAlias" key of a package.json
+function packageAliasTargets (npmPackage, base) {
+  const config = npmPackage.superAlias || {}
+  return relativeAliasTargets({ ...npmPackage._moduleAliases, ...config.aliases }, base)
+}
+
+// Module directories as absolute paths; node_modules is searched anyway
+function moduleDirectoryPaths (directories, base) {
+  return directories
+    .filter(dir => dir !== 'node_modules')
+    .map(dir => nodePath.join(base, dir))
+}
+
+// Boundary rules of the "superAlias" key
+function packageRules (npmPackage) {
+  return (npmPackage.superAlias && npmPackage.superAlias.rules) || []
+}
+
+// _moduleDirectories and superAlias.moduleDirectories of a package.json
+function packageModuleDirectories (npmPackage, base) {
+  const config = npmPackage.superAlias || {}
+  return moduleDirectoryPaths([].concat(npmPackage._moduleDirectories || [], config.moduleDirectories || []), base)
+}
+
+function aliasKey (scope, alias) {
+  return `${scope || ''}\0${alias}`
+}
 
-// Guard against poorly mocked module constructors
-const Module = module.constructor.length > 1
-  ? module.constructor
-  : BuiltinModule
+// Alias config changes, which invalidate persisted resolutions and the
+// state passed on to child processes
+const ALIAS_CONFIG_EVENTS = ['aliasAdded', 'aliasRemoved', 'pathAdded', 'pathRemoved', 'conditionsChanged']
+
+// The environment variables that add active conditions, as one string
+function envConditions () {
+  return `${process.env.SUPER_ALIAS_CONDITIONS || ''}\0${process.env.NODE_ENV || ''}`
+}
+
+// Alias map of one package root; the manager itself is the global table
+function createAliasTable (root) {
+  return { root, moduleAliases: {}, moduleAliasNames: [], aliasPatterns: {}, aliasSources: {}, matcher: null }
+}
+
+function containsFunction (target) {
+  if (typeof target === 'function') return true
+  if (Array.isArray(target)) return target.some(containsFunction)
+  if (!isConditionObject(target)) return false
+
+  return Object.keys(target).some(condition => containsFunction(target[condition]))
+}
+
+function containsAsyncResolver (target, asyncResolvers) {
+  if (typeof target === 'function') return asyncResolvers.has(target)
+  if (Array.isArray(target)) return target.some(candidate => containsAsyncResolver(candidate, asyncResolvers))
+  if (!isConditionObject(target)) return false
+
+  return Object.keys(target).some(condition => containsAsyncResolver(target[condition], asyncResolvers))
+}
+
+// The modules in require.cache that required each one, from module.children
+function requireParents () {
+  const parents = new Map()
+  for (const filename in require.cache) {
+    for (const child of require.cache[filename].children || []) {
+      if (!parents.has(child.id)) parents.set(child.id, [])
+      parents.get(child.id).push(filename)
+    }
+  }
+  return parents
+}
+
+// First file on the stack outside this package: the one calling into it
+function callerFilename () {
+  const prepareStackTrace = Error.prepareStackTrace
+  Error.prepareStackTrace = (error, frames) => frames
+  const frames = new Error().stack
+  Error.prepareStackTrace = prepareStackTrace
+
+  const lib = nodePath.join(__dirname, 'lib') + nodePath.sep
+  for (const frame of Array.isArray(frames) ? frames : []) {
+    const filename = frame.getFileName()
+    if (filename && filename !== __filename && filename.indexOf(lib) !== 0 && filename.indexOf('node:') !== 0) {
+      return filename
+    }
+  }
+  return null
+}
 
 // Enhanced state management
 class ModuleAliasManager extends EventEmitter {
@@ -17,18 +181,52 @@ class ModuleAliasManager extends EventEmitter {
     this.modulePaths = []
     this.moduleAliases = {}
     this.moduleAliasNames = []
-    this.performanceCache = new Map()
+    this.aliasPatterns = {}
+    this.matcher = null
+    this.resolutionCache = new LRUCache({ max: 1000, ttl: 5000 })
+    this.persistentCache = null
+    this.metrics = null
+    this.metricsTimer = null
+    this.graph = null
+    this.propagation = null
+    this.frozen = null
+    this.projectRoot = null
     this.debugMode = process.env.MODULE_ALIAS_DEBUG === 'true'
     this.watchers = new Map()
+    this.fileWatcher = null
+    this.watchDebounce = 100
+    this.targetStatus = new Map()
     this.asyncResolvers = new Map()
+    this.conditions = []
+    this.envConditions = envConditions()
+
+    // Where each alias / module path was declared (package.json, tsconfig.json)
+    this.aliasSources = {}
+    this.pathSources = {}
+
+    // Aliases scoped to a package root, by root directory
+    this.scopes = new Map()
+
+    // Module files loaded through each alias, for targeted cache eviction
+    this.aliasModules = new Map()
+
+    // Layers applied by override(), oldest first
+    this.overrides = []
+
+    // Boundary rules, and the violations seen at runtime by parent and request
+    this.rules = []
+    this.rulesMode = 'warn'
+    this.boundaryViolations = new Map()
 
     // Performance metrics
     this.stats = {
       resolutions: 0,
       cacheHits: 0,
-      aliasMatches: 0
+      aliasMatches: 0,
+      conditionMatches: {}
     }
 
+    this.disposed = false
     this.setupHooks()
   }
 
@@ -48,203 +246,993 @@ class ModuleAliasManager extends EventEmitter {
     this.emit('log', logData)
   }
 
-  // Performance optimization with caching
+  // Resolved requests as { resolved, match, target }, in an LRU cache cleared
+  // whenever aliases change
   getCachedResolution (key) {
-    const cached = this.performanceCache.get(key)
-    if (cached && Date.now() - cached.timestamp < 5000) { // 5s cache
-      this.stats.cacheHits++
-      return cached.value
-    }
-    return null
+    const cached = this.resolutionCache.get(key)
+    if (cached === undefined) return null
+
+    this.stats.cacheHits++
+    return cached
   }
 
   setCachedResolution (key, value) {
-    this.performanceCache.set(key, {
-      value,
-      timestamp: Date.now()
-    })
+    this.resolutionCache.set(key, value)
+  }
 
-    // Limit cache size
-    if (this.performanceCache.size > 1000) {
-      const firstKey = this.performanceCache.keys().next().value
-      this.performanceCache.delete(firstKey)
-    }
+  // Size (max entries, 0 disables) and ttl (milliseconds, 0 for none) of
+  // the resolution cache
+  configureCache (options = {}) {
+    this.resolutionCache.configure(options)
+    this.log('debug', 'Resolution cache configured', { max: this.resolutionCache.max, ttl: this.resolutionCache.ttl })
   }
 
-  // Enhanced path matching with better performance
   isPathMatchesAlias (path, alias) {
-    const cacheKey = `${path}:${alias}`
-    const cached = this.getCachedResolution(cacheKey)
-    if (cached !== null) return cached
+    return this.matchAlias(path, alias) !== null
+  }
 
-    let matches = false
+  // Precompiled matcher of an alias table, rebuilt after its aliases change
+  getAliasMatcher (table = this) {
+    if (!table.matcher) {
+      table.matcher = createAliasMatcher(table.moduleAliasNames, table.aliasPatterns)
+    }
+    return table.matcher
+  }
 
-    // Exact match or starts with alias followed by separator
-    if (path.indexOf(alias) === 0) {
-      if (path.length === alias.length) {
-        matches = true
-      } else if (path[alias.length] === '/' || path[alias.length] === '\\') {
-        matches = true
+  // Match a request against one alias, returning the matched part of the
+  // request and the wildcard / capture group values
+  matchAlias (path, alias, table = this) {
+    const pattern = table.aliasPatterns[alias] || compileAliasPattern(alias)
+
+    if (!pattern) {
+      // Exact match or starts with alias followed by separator
+      if (path.indexOf(alias) === 0 &&
+        (path.length === alias.length || path[alias.length] === '/' || path[alias.length] === '\\')) {
+        return { alias, matched: alias, captures: [] }
+      }
+      return null
+    }
+
+    const match = pattern.regexp.exec(path)
+    if (!match) return null
+
+    // RegExp aliases map the whole request, like Jest's moduleNameMapper
+    return {
+      alias: pattern.key,
+      matched: pattern.type === 'regexp' ? path : match[0],
+      captures: match.slice(1)
+    }
+  }
+
+  // Find the most specific alias a request falls under. Aliases scoped to
+  // the package containing filename take precedence over global ones.
+  findAliasMatch (request, filename) {
+    const scope = filename ? this.findScope(filename) : null
+    return (scope && this.findAliasMatchIn(request, this.scopes.get(scope))) ||
+      this.findAliasMatchIn(request, this)
+  }
+
+  findAliasMatchIn (request, table) {
+    const match = this.getAliasMatcher(table).match(request)
+    if (match) match.scope = table === this ? null : table.root
+    return match
+  }
+
+  findAlias (request, filename) {
+    const match = this.findAliasMatch(request, filename)
+    return match ? match.alias : null
+  }
+
+  // Innermost package root containing a file, or null
+  findScope (filename) {
+    let scope = null
+    for (const root of this.scopes.keys()) {
+      if ((filename === root || filename.indexOf(root + nodePath.sep) === 0) &&
+        (!scope || root.length > scope.length)) {
+        scope = root
       }
     }
+    return scope
+  }
+
+  // Alias table of a package root (created on demand), or the global one
+  getAliasTable (scope, create = false) {
+    if (!scope) return this
+
+    let table = this.scopes.get(scope)
+    if (!table && create) {
+      table = createAliasTable(scope)
+      this.scopes.set(scope, table)
+    }
+    return table || null
+  }
+
+  // Longest literal prefix before the first wildcard wins, then the longest
+  // key; RegExp aliases come last in the order they were added
+  compareAliases (a, b, table = this) {
+    const patternA = table.aliasPatterns[a]
+    const patternB = table.aliasPatterns[b]
+    const regexpA = Boolean(patternA && patternA.type === 'regexp')
+    const regexpB = Boolean(patternB && patternB.type === 'regexp')
+
+    if (regexpA || regexpB) {
+      return regexpA === regexpB
+        ? table.moduleAliasNames.indexOf(a) - table.moduleAliasNames.indexOf(b)
+        : regexpA ? 1 : -1
+    }
+
+    const prefixA = a.indexOf('*') === -1 ? a.length : a.indexOf('*')
+    const prefixB = b.indexOf('*') === -1 ? b.length : b.indexOf('*')
+
+    return (prefixB - prefixA) || (b.length - a.length)
+  }
+
+  // Fill a target's "*" wildcards or $1..$n references with captured values
+  substituteCaptures (target, match) {
+    if (!match.captures.length) return target
+
+    const pattern = this.getAliasTable(match.scope).aliasPatterns[match.alias]
+    if (pattern && pattern.type === 'regexp') {
+      return target.replace(/\$(\d+)/g, (_, index) => match.captures[index - 1] || '')
+    }
 
-    this.setCachedResolution(cacheKey, matches)
-    return matches
+    let index = 0
+    return target.replace(/\*/g, () => match.captures[index++] || '')
+  }
+
+  resolutionCacheKey (request, parentModule) {
+    return `resolve:${request}:${(parentModule && parentModule.filename) || 'unknown'}`
   }
 
   // Enhanced alias resolution with validation
   resolveAlias (request, parentModule) {
+    return this.resolveRequest(request, parentModule).resolved
+  }
+
+  // The request to hand to Node after alias substitution, with the alias
+  // match and target it went through (null when none). All are cached, so
+  // callers such as the require() hook never need to match the request again.
+  resolveRequest (request, parentModule) {
     this.stats.resolutions++
+    this.syncEnvConditions()
 
     // Try cache first
-    const cacheKey = `resolve:${request}:${(parentModule && parentModule.filename) || 'unknown'}`
+    const cacheKey = this.resolutionCacheKey(request, parentModule)
     const cached = this.getCachedResolution(cacheKey)
-    if (cached !== null) return cached
+    if (cached !== null) {
+      if (this.metrics && cached.match) this.metrics.cacheHit(cached.match.alias, cached.match.scope)
+      return cached
+    }
 
     let resolvedRequest = request
+    let target = null
+
+    const match = this.findAliasMatch(request, parentModule && parentModule.filename)
+    if (match !== null) {
+      const resolution = this.resolveAliasMatch(match, request, parentModule)
+      target = resolution.target
+
+      // Validate alias target exists; frozen managers trust their targets
+      if (!this.frozen && !this.validateAliasTarget(resolution.target)) {
+        this.log('warn', 'Alias target does not exist', { alias: resolution.alias, target: resolution.target })
+      }
+
+      this.reportAliasResolution(resolution)
+      resolvedRequest = resolution.resolved
+    }
+
+    const result = { resolved: resolvedRequest, match, target }
+    this.setCachedResolution(cacheKey, result)
+    return result
+  }
+
+  // The request an alias match turns into, with the target and condition
+  // branch it went through
+  resolveAliasMatch (match, request, parentModule) {
+    const alias = match.alias
+    this.stats.aliasMatches++
+    if (this.metrics) this.metrics.cacheMiss(alias, match.scope)
+
+    let resolved
+    try {
+      resolved = this.frozen
+        ? this.resolveFrozenTarget(match, request, parentModule)
+        : this.resolveTarget(this.getAliasTable(match.scope).moduleAliases[alias], match, request, parentModule)
+    } catch (error) {
+      if (this.metrics) this.metrics.resolverError(alias, match.scope)
+      throw error
+    }
+
+    if (!resolved) {
+      const conditions = this.getActiveConditions().join(', ')
+      const error = new Error(`No branch of alias '${alias}' matches the active conditions (${conditions})`)
+      this.log('error', 'Conditional alias has no matching branch', { alias, conditions })
+      throw error
+    }
+
+    if (resolved.condition) {
+      const counts = this.stats.conditionMatches[alias] || (this.stats.conditionMatches[alias] = {})
+      counts[resolved.condition] = (counts[resolved.condition] || 0) + 1
+    }
+
+    return {
+      request,
+      alias,
+      scope: match.scope || undefined,
+      condition: resolved.condition,
+      target: resolved.target,
+      resolved: nodePath.join(resolved.target, request.substr(match.matched.length))
+    }
+  }
+
+  // resolveTarget() for a frozen manager, starting from the condition
+  // branch precompiled by freeze()
+  resolveFrozenTarget (match, request, parentModule) {
+    const compiled = this.frozen.targets[aliasKey(match.scope, match.alias)]
+    if (!compiled) return null
+
+    if (typeof compiled.target === 'string') {
+      return { target: this.substituteCaptures(compiled.target, match), condition: compiled.condition }
+    }
+
+    const resolved = this.resolveTarget(compiled.target, match, request, parentModule)
+    if (resolved && compiled.condition) {
+      resolved.condition = resolved.condition ? `${compiled.condition}.${resolved.condition}` : compiled.condition
+    }
+    return resolved
+  }
+
+  // Called by the require() hook with the alias match of a request and
+  // the time it started at, while metrics are enabled
+  recordResolution (match, parentModule, started, failed) {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9
+    this.metrics.resolution(match.alias, match.scope, parentModule && parentModule.filename, seconds, failed)
+  }
 
-    // Sort aliases by length (longer first) for better matching
-    const sortedAliases = this.moduleAliasNames.slice().sort((a, b) => b.length - a.length)
-
-    for (const alias of sortedAliases) {
-      if (this.isPathMatchesAlias(request, alias)) {
-        this.stats.aliasMatches++
-        let aliasTarget = this.moduleAliases[alias]
-
-        // Handle custom function resolvers
-        if (typeof aliasTarget === 'function') {
-          const fromPath = (parentModule && parentModule.filename) || process.cwd()
-
-          try {
-            aliasTarget = aliasTarget(fromPath, request, alias)
-            if (!aliasTarget || typeof aliasTarget !== 'string') {
-              throw new Error(`Custom handler function for alias '${alias}' must return a valid path string`)
-            }
-          } catch (error) {
-            this.log('error', 'Custom alias resolver failed', { alias, error: error.message })
-            throw error
-          }
+  reportAliasResolution (resolution) {
+    const { request, alias, scope, condition, target, resolved } = resolution
+
+    this.log('debug', 'Alias resolved', {
+      original: request,
+      alias,
+      scope,
+      condition,
+      target,
+      resolved
+    })
+    this.emit('aliasResolved', { request, alias, scope, condition, target, resolved })
+  }
+
+  // Turn an alias target into a path: pick the active condition branch, call
+  // a resolver function or fill in wildcards. Fallback arrays use the first
+  // candidate the request resolves under. Returns null when no branch matches.
+  resolveTarget (target, match, request, parentModule, trace) {
+    const alias = match.alias
+    let condition
+
+    if (isConditionObject(target)) {
+      const selected = this.selectCondition(target)
+      if (!selected) return null
+
+      condition = selected.condition
+      target = selected.target
+    }
+
+    if (Array.isArray(target)) {
+      const rest = request.substr(match.matched.length)
+      let first = null
+
+      for (const candidate of target) {
+        const resolved = this.resolveTarget(candidate, match, request, parentModule, trace)
+        if (!resolved) continue
+
+        if (condition) {
+          resolved.condition = resolved.condition ? `${condition}.${resolved.condition}` : condition
+        }
+        const resolves = this.canResolve(nodePath.join(resolved.target, rest), parentModule)
+        if (trace) trace.fallbacks.push({ target: resolved.target, resolves })
+        if (resolves) return resolved
+        if (!first) first = resolved
+      }
+
+      if (first) {
+        this.log('warn', 'No fallback target resolves the request', { alias, request, targets: target })
+      }
+      return first
+    }
+
+    // Handle custom function resolvers
+    if (typeof target === 'function') {
+      const fromPath = (parentModule && parentModule.filename) || process.cwd()
+
+      const call = { input: { fromPath, request, alias: String(alias) }, output: null }
+      if (trace) trace.resolvers.push(call)
+
+      try {
+        target = call.output = this.asyncResolvers.has(target)
+          ? this.getAsyncTarget(target, match, request, fromPath)
+          : target(fromPath, request, alias)
+        if (!target || typeof target !== 'string') {
+          throw new Error(`Custom handler function for alias '${alias}' must return a valid path string`)
         }
+      } catch (error) {
+        call.error = error.message
+        this.log('error', 'Custom alias resolver failed', { alias, error: error.message })
+        throw error
+      }
+    } else {
+      target = this.substituteCaptures(target, match)
+    }
 
-        // Validate alias target exists
-        if (!this.validateAliasTarget(aliasTarget)) {
-          this.log('warn', 'Alias target does not exist', { alias, target: aliasTarget })
+    return { target, condition }
+  }
+
+  // Why a request did not resolve: the alias and target it went through
+  // and the closest existing names there, or the aliases it nearly matched.
+  // Pass the { match, target, resolved } of resolveRequest() to reuse it;
+  // otherwise only static targets are resolved, as calling resolver
+  // functions again would repeat their side effects.
+  diagnoseResolution (request, parentModule, resolution) {
+    const filename = parentModule && parentModule.filename
+    const match = resolution && resolution.match ? resolution.match : this.findAliasMatch(request, filename)
+    const diagnostics = {
+      request,
+      alias: null,
+      scope: null,
+      target: null,
+      resolved: null,
+      targetExists: null,
+      nearestAliases: [],
+      closestFiles: [],
+      suggestions: []
+    }
+
+    if (match) {
+      const rest = request.substr(match.matched.length)
+      diagnostics.alias = String(match.alias)
+      diagnostics.scope = match.scope || null
+
+      let resolved = resolution && resolution.match ? resolution : null
+      if (!resolved) {
+        const target = this.getAliasTable(match.scope).moduleAliases[match.alias]
+        if (containsFunction(target)) return diagnostics
+        try {
+          resolved = this.resolveTarget(target, match, request, parentModule)
+        } catch (error) {
+          return diagnostics
         }
+        if (!resolved) return diagnostics
+      }
 
-        resolvedRequest = nodePath.join(aliasTarget, request.substr(alias.length))
-        this.log('debug', 'Alias resolved', {
-          original: request,
-          alias,
-          target: aliasTarget,
-          resolved: resolvedRequest
-        })
-        break
+      diagnostics.target = resolved.target
+      diagnostics.resolved = nodePath.join(resolved.target, rest)
+
+      // Package name targets are left to Node's own error
+      if (nodePath.isAbsolute(resolved.target)) {
+        diagnostics.targetExists = this.validateAliasTarget(resolved.target)
+        if (diagnostics.targetExists && rest) {
+          diagnostics.closestFiles = closestFiles(diagnostics.resolved, Object.keys(Module._extensions))
+          diagnostics.suggestions = diagnostics.closestFiles.map(name => request.replace(/[^/]*$/, name))
+        }
+      }
+      return diagnostics
+    }
+
+    if (request[0] === '.' || nodePath.isAbsolute(request)) return diagnostics
+
+    // Compare each alias with as many leading segments of the request
+    const scope = this.findScope(filename)
+    const tables = scope ? [this.getAliasTable(scope), this] : [this]
+    const nearest = []
+    tables.forEach(table => {
+      table.moduleAliasNames.forEach(alias => {
+        if (table.aliasPatterns[alias] || nearest.some(entry => entry.alias === alias)) return
+
+        const prefix = request.split('/').slice(0, alias.split('/').length).join('/')
+        const distance = editDistance(prefix, alias)
+        if (distance > 0 && distance <= Math.max(1, Math.floor(alias.length / 3))) {
+          nearest.push({ alias, distance, suggestion: alias + request.slice(prefix.length) })
+        }
+      })
+    })
+
+    const closest = nearest.sort((a, b) => a.distance - b.distance).slice(0, 3)
+    diagnostics.nearestAliases = closest.map(entry => entry.alias)
+    diagnostics.suggestions = closest.map(entry => entry.suggestion)
+    return diagnostics
+  }
+
+  // Add alias context to Node's MODULE_NOT_FOUND errors. It is only worked
+  // out once the message, stack or aliasDiagnostics are read: most of these
+  // errors are optional require() probes that are caught and dropped.
+  annotateResolutionError (error, request, parentModule, resolution) {
+    if (!error || error.code !== 'MODULE_NOT_FOUND' || Object.prototype.hasOwnProperty.call(error, 'aliasDiagnostics')) return error
+
+    annotateErrorLazily(error, () => {
+      const diagnostics = this.diagnoseResolution(request, parentModule, resolution)
+      return diagnostics.alias || diagnostics.nearestAliases.length ? diagnostics : null
+    })
+    return error
+  }
+
+  // Every step of resolving request from options.from (a file): the aliases
+  // considered, cache, resolver calls, module paths and the files tried
+  explain (request, options = {}) {
+    const from = nodePath.resolve(options.from || nodePath.join(process.cwd(), 'index.js'))
+    const parent = { id: from, filename: from, paths: Module._nodeModulePaths(nodePath.dirname(from)) }
+    const scope = this.findScope(from)
+    const cacheKey = this.resolutionCacheKey(request, parent)
+    const cached = this.resolutionCache.peek(cacheKey)
+
+    const trace = {
+      request,
+      from,
+      scope,
+      cache: { key: cacheKey, hit: cached !== undefined, value: cached === undefined ? null : cached.resolved },
+      aliases: [],
+      match: null,
+      resolvers: [],
+      fallbacks: [],
+      condition: null,
+      target: null,
+      resolved: request,
+      modulePaths: [],
+      candidates: [],
+      filename: null,
+      error: null
+    }
+
+    // Same order as findAliasMatch: the file's scope first, most specific first
+    const tables = scope ? [this.scopes.get(scope), this] : [this]
+    let selected = null
+    tables.forEach(table => {
+      const tableScope = table === this ? null : table.root
+
+      this.getAliasMatcher(table).sorted.forEach(alias => {
+        const match = this.matchAlias(request, alias, table)
+        const entry = { alias: String(alias), scope: tableScope, matched: Boolean(match), selected: false }
+
+        if (!match) {
+          const pattern = table.aliasPatterns[alias]
+          entry.reason = pattern ? `does not match ${pattern.regexp}` : `request is not ${alias} or under ${alias}/`
+        } else if (!selected) {
+          selected = { ...match, scope: tableScope, table }
+          entry.selected = true
+          entry.reason = tableScope ? 'most specific match in the file\'s scope' : 'most specific match'
+        } else {
+          entry.reason = selected.scope !== tableScope
+            ? `matches, but scoped alias ${selected.alias} takes precedence`
+            : `matches, but ${selected.alias} is more specific`
+        }
+        trace.aliases.push(entry)
+      })
+    })
+
+    try {
+      if (selected) {
+        trace.match = { alias: String(selected.alias), scope: selected.scope, matched: selected.matched, captures: selected.captures }
+
+        const resolved = this.resolveTarget(selected.table.moduleAliases[selected.alias], selected, request, parent, trace)
+        if (!resolved) {
+          throw new Error(`No branch of alias '${selected.alias}' matches the active conditions (${this.getActiveConditions().join(', ')})`)
+        }
+
+        trace.condition = resolved.condition || null
+        trace.target = resolved.target
+        trace.resolved = nodePath.join(resolved.target, request.substr(selected.matched.length))
       }
+
+      trace.candidates = traceCandidates(trace.resolved, parent)
+      trace.filename = this.oldResolveFilename.call(Module, trace.resolved, parent, false)
+    } catch (error) {
+      this.annotateResolutionError(error, request, parent, trace.target && { match: selected, target: trace.target })
+      trace.error = error.message
     }
 
-    this.setCachedResolution(cacheKey, resolvedRequest)
-    return resolvedRequest
+    trace.modulePaths = this.modulePaths.map(path => ({
+      path,
+      searched: parent.paths.indexOf(path) !== -1,
+      used: Boolean(trace.filename) && trace.filename.indexOf(path + nodePath.sep) === 0
+    }))
+
+    // Printed by the REPL and console.log() as the formatted trace
+    Object.defineProperty(trace, util.inspect.custom, {
+      value: () => formatExplanation(trace)
+    })
+
+    return trace
   }
 
-  // Validation helper
+  // Whether Node can resolve a request, without going through the aliases
+  canResolve (request, parentModule) {
+    let parent = parentModule || null
+
+    // Parents given as { filename } (e.g. from the ESM loader) need lookup paths
+    if (parent && !parent.paths && parent.filename) {
+      parent = {
+        id: parent.filename,
+        filename: parent.filename,
+        paths: Module._nodeModulePaths(nodePath.dirname(parent.filename))
+      }
+    }
+
+    try {
+      this.oldResolveFilename.call(Module, request, parent, false)
+      return true
+    } catch (e) {
+      return false
+    }
+  }
+
+  // Active conditions: init({ conditions }), SUPER_ALIAS_CONDITIONS, NODE_ENV
+  // and "default"; a frozen manager keeps the ones active when it froze
+  getActiveConditions () {
+    if (this.frozen) return this.frozen.conditions.slice()
+
+    const conditions = this.conditions.slice()
+
+    if (process.env.SUPER_ALIAS_CONDITIONS) {
+      process.env.SUPER_ALIAS_CONDITIONS.split(',').forEach(condition => {
+        if (condition.trim()) conditions.push(condition.trim())
+      })
+    }
+    if (process.env.NODE_ENV) conditions.push(process.env.NODE_ENV)
+    conditions.push('default')
+
+    return conditions
+  }
+
+  setConditions (conditions) {
+    this.assertNotFrozen('set conditions')
+    if (!Array.isArray(conditions) || !conditions.every(condition => typeof condition === 'string')) {
+      throw new TypeError('Conditions must be an array of strings')
+    }
+
+    this.conditions = conditions.slice()
+    this.resolutionCache.clear()
+
+    this.log('debug', 'Conditions set', { conditions: this.getActiveConditions() })
+    this.emit('conditionsChanged', { conditions: this.getActiveConditions() })
+  }
+
+  // NODE_ENV and SUPER_ALIAS_CONDITIONS may change at any time. Resolutions
+  // cached under the previous conditions are dropped before the next one.
+  syncEnvConditions () {
+    if (this.frozen) return
+
+    const env = envConditions()
+    if (env === this.envConditions) return
+    this.envConditions = env
+    this.resolutionCache.clear()
+
+    this.log('debug', 'Conditions changed in the environment', { conditions: this.getActiveConditions() })
+    this.emit('conditionsChanged', { conditions: this.getActiveConditions() })
+  }
+
+  // Pick the first branch whose condition is active, descending into nested
+  // conditions; the condition path is reported as e.g. "production.node"
+  selectCondition (target, conditions = this.getActiveConditions()) {
+    const path = []
+
+    while (isConditionObject(target)) {
+      const condition = Object.keys(target).find(key => conditions.indexOf(key) !== -1)
+      if (condition === undefined) return null
+
+      path.push(condition)
+      target = target[condition]
+    }
+
+    return { condition: path.join('.'), target }
+  }
+
+  // Validation helper. Results for watched targets are cached until the
+  // watcher sees them appear or disappear.
   validateAliasTarget (target) {
     if (!target || typeof target !== 'string') return false
 
+    if (this.targetStatus.has(target)) return this.targetStatus.get(target)
+
+    let exists
     try {
       // Check if path exists (sync for performance, but could be made async)
-      return fs.existsSync(target)
+      exists = fs.existsSync(target)
     } catch (err) {
-      return false
+      exists = false
     }
+
+    if (this.fileWatcher && this.fileWatcher.isWatching(target)) this.targetStatus.set(target, exists)
+    return exists
   }
 
-  // Hot reload functionality
-  watchPackageJson (packageJsonPath) {
-    if (this.watchers.has(packageJsonPath)) return
+  async validateAliasTargetAsync (target) {
+    if (!target || typeof target !== 'string') return false
+
+    if (this.targetStatus.has(target)) return this.targetStatus.get(target)
 
+    let exists
     try {
-      const watcher = fs.watch(packageJsonPath, (eventType) => {
-        if (eventType === 'change') {
-          this.log('info', 'package.json changed, reloading aliases', { path: packageJsonPath })
-          this.reloadAliases(packageJsonPath)
-        }
+      await fs.promises.access(target)
+      exists = true
+    } catch (err) {
+      exists = false
+    }
+
+    if (this.fileWatcher && this.fileWatcher.isWatching(target)) this.targetStatus.set(target, exists)
+    return exists
+  }
+
+  // Shared chokidar watcher, created on first use
+  getFileWatcher () {
+    if (!this.fileWatcher) {
+      this.fileWatcher = createWatcher({
+        debounce: this.watchDebounce,
+        onError: (error) => this.log('error', 'File watcher error', { error: error.message })
+      })
+    }
+    return this.fileWatcher
+  }
+
+  // Call reload (debounced) whenever a config file changes
+  watchConfigFile (file, reload) {
+    if (this.watchers.has(file)) return
+
+    try {
+      const watcher = this.getFileWatcher().watch(file, (event) => {
+        if (event === 'unlink') return
+        this.log('info', 'Config file changed, reloading aliases', { path: file })
+        reload()
       })
 
-      this.watchers.set(packageJsonPath, watcher)
-      this.log('debug', 'Watching package.json for changes', { path: packageJsonPath })
+      this.watchers.set(file, watcher)
+      this.log('debug', 'Watching config file for changes', { path: file })
     } catch (error) {
-      this.log('error', 'Failed to watch package.json', { path: packageJsonPath, error: error.message })
+      this.log('error', 'Failed to watch config file', { path: file, error: error.message })
     }
   }
 
-  // Reload aliases from package.json
-  reloadAliases (packageJsonPath) {
+  // Stop all watchers
+  stopWatching () {
+    this.watchers.forEach(watcher => watcher.close())
+    this.watchers.clear()
+    if (this.fileWatcher) this.fileWatcher.close()
+    this.fileWatcher = null
+    this.targetStatus.clear()
+    if (this.targetWatchListener) this.off('aliasAdded', this.targetWatchListener)
+    this.targetWatchListener = null
+  }
+
+  // Hot reload functionality
+  watchPackageJson (packageJsonPath, scope) {
+    this.watchConfigFile(packageJsonPath, () => this.reloadAliases(packageJsonPath, scope))
+  }
+
+  // A tsconfig.json and every file it extends
+  watchTsconfig (tsconfigPath, files, options) {
+    files.forEach(file => this.watchConfigFile(file, () => this.reloadTsconfig(tsconfigPath, options)))
+  }
+
+  // Watch the absolute, static paths an alias points to, so that a target
+  // directory appearing or disappearing is noticed
+  watchAliasTargets (target) {
+    mapTargets(target, path => {
+      if (!nodePath.isAbsolute(path) || /\*|\$\d/.test(path) || this.watchers.has(path)) return path
+
+      const watcher = this.getFileWatcher().watch(path, (event) => {
+        const exists = event === 'add' || event === 'addDir' || event === 'change'
+        this.targetStatus.set(path, exists)
+        this.resolutionCache.clear()
+        this.log('info', 'Alias target changed', { target: path, exists })
+        this.emit('targetChanged', { target: path, exists })
+      })
+      this.watchers.set(path, watcher)
+      return path
+    })
+  }
+
+  // Keep watching the targets of aliases added later on
+  watchTargets () {
+    if (this.targetWatchListener) return
+
+    this.targetWatchListener = ({ target }) => this.watchAliasTargets(target)
+    this.on('aliasAdded', this.targetWatchListener)
+    const tables = [this].concat(Array.from(this.scopes.values()))
+    tables.forEach(table => {
+      table.moduleAliasNames.forEach(alias => this.watchAliasTargets(table.moduleAliases[alias]))
+    })
+  }
+
+  // Reload the aliases (and module directories) declared in a package.json.
+  // Only what that file declared is touched; programmatic aliases stay.
+  reloadAliases (packageJsonPath, scope) {
     try {
       // Clear require cache for package.json
       delete require.cache[require.resolve(packageJsonPath)]
 
       const packageJson = require(packageJsonPath)
       const base = nodePath.dirname(packageJsonPath)
+      this.validatePackageConfig(packageJson, packageJsonPath)
 
-      // Clear existing aliases
-      this.moduleAliases = {}
-      this.moduleAliasNames = []
-      this.performanceCache.clear()
-
-      // Reload aliases
-      const aliases = packageJson._moduleAliases || {}
-      for (const alias in aliases) {
-        let target = aliases[alias]
-        if (target[0] !== '/') {
-          target = nodePath.join(base, target)
-        }
-        this.addAlias(alias, target)
-      }
+      // Module directories apply to every package, so scoped packages have none
+      const directories = scope ? undefined : packageModuleDirectories(packageJson, base)
+      this.setSourceRules(packageJsonPath, packageRules(packageJson), base)
 
-      this.emit('aliasesReloaded', { aliases: this.moduleAliases })
-      this.log('info', 'Aliases reloaded successfully', { count: this.moduleAliasNames.length })
+      return this.applySourceDiff(packageJsonPath, packageAliasTargets(packageJson, base), directories, scope)
     } catch (error) {
       this.log('error', 'Failed to reload aliases', { error: error.message })
     }
   }
 
-  // Setup Node.js hooks
-  setupHooks () {
-    this.oldNodeModulePaths = Module._nodeModulePaths
-    this.oldResolveFilename = Module._resolveFilename
+  // Re-import a tsconfig.json, e.g. after it or a file it extends changed
+  reloadTsconfig (tsconfigPath, options = {}) {
+    try {
+      const { config, source, aliases, paths } = this.readTsconfig(tsconfigPath, options)
+      const diff = this.applySourceDiff(source, aliases, paths, options.scope ? nodePath.resolve(options.scope) : undefined)
+
+      // The extends chain may have changed
+      if (options.watch) this.watchTsconfig(tsconfigPath, config.files, options)
+      return diff
+    } catch (error) {
+      this.log('error', 'Failed to reload tsconfig', { path: tsconfigPath, error: error.message })
+    }
+  }
+
+  // Bring the aliases and module paths declared by one source file up to
+  // date, evict what went stale and report the difference. paths is left
+  // alone when undefined.
+  applySourceDiff (source, aliases, paths, scope) {
+    const table = this.getAliasTable(scope, true)
+    const diff = {
+      source,
+      scope,
+      aliases: { added: [], removed: [], retargeted: [] },
+      paths: { added: [], removed: [] },
+      evicted: []
+    }
+
+    const previous = {}
+    for (const alias in table.aliasSources) {
+      if (table.aliasSources[alias] === source) previous[alias] = table.moduleAliases[alias]
+    }
+
+    for (const alias in previous) {
+      if (alias in aliases) continue
+      this.removeAlias(alias, { scope })
+      diff.aliases.removed.push({ alias, target: previous[alias] })
+    }
 
-    const self = this
+    for (const alias in aliases) {
+      const target = mapTargets(aliases[alias], nodePath.normalize)
+
+      if (!(alias in previous)) {
+        if (alias in table.moduleAliases) {
+          this.log('debug', 'Keeping programmatic alias over config file', { alias, source })
+          continue
+        }
+        diff.aliases.added.push({ alias, target })
+      } else if (JSON.stringify(previous[alias]) !== JSON.stringify(target)) {
+        diff.aliases.retargeted.push({ alias, from: previous[alias], to: target })
+      } else {
+        continue
+      }
 
-    Module._nodeModulePaths = function (from) {
-      const paths = self.oldNodeModulePaths.call(this, from)
+      this.addAlias(alias, target, { scope })
+      table.aliasSources[alias] = source
+    }
+
+    if (paths) {
+      const normalized = paths.map(path => nodePath.normalize(path))
 
-      // Only include the module path for top-level modules
-      if (from.indexOf('node_modules') === -1) {
-        return self.modulePaths.concat(paths)
+      for (const path in this.pathSources) {
+        if (this.pathSources[path] !== source || normalized.indexOf(path) !== -1) continue
+        this.removePath(path)
+        diff.paths.removed.push(path)
       }
+      for (const path of normalized) {
+        if (this.modulePaths.indexOf(path) !== -1) continue
+        this.addPath(path)
+        this.pathSources[path] = source
+        diff.paths.added.push(path)
+      }
+    }
 
-      return paths
+    diff.evicted = this.evictModules(diff)
+
+    const changes = diff.aliases.added.length + diff.aliases.removed.length + diff.aliases.retargeted.length +
+      diff.paths.added.length + diff.paths.removed.length
+    if (changes) {
+      this.emit('aliasesChanged', diff)
     }
 
-    Module._resolveFilename = function (request, parentModule, isMain, options) {
-      try {
-        const resolvedRequest = self.resolveAlias(request, parentModule)
-        return self.oldResolveFilename.call(this, resolvedRequest, parentModule, isMain, options)
-      } catch (error) {
-        self.log('error', 'Module resolution failed', {
-          request,
-          parent: parentModule && parentModule.filename,
-          error: error.message
-        })
-        throw error
+    this.emit('aliasesReloaded', { aliases: table.moduleAliases, scope })
+    this.log('info', 'Aliases reloaded successfully', { source, count: table.moduleAliasNames.length, changes, evicted: diff.evicted.length })
+    return diff
+  }
+
+  // Remember which module files were loaded through which alias, so a
+  // reload can evict exactly those from require.cache. match is looked up
+  // when the caller does not have it.
+  trackAliasModule (request, parentModule, filename, match = this.findAliasMatch(request, parentModule && parentModule.filename)) {
+    if (!match) return
+
+    const key = aliasKey(match.scope, match.alias)
+    let modules = this.aliasModules.get(key)
+    if (!modules) {
+      modules = new Map()
+      this.aliasModules.set(key, modules)
+    }
+    const parent = (parentModule && parentModule.filename) || null
+    modules.set(`${request}\0${filename}\0${parent}`, { request, filename, parent })
+  }
+
+  // Drop the require.cache entries a reload made stale: modules loaded
+  // through a removed or retargeted alias, through an alias that a new one
+  // now shadows, or from a removed module directory. options.parents also
+  // drops the modules that required them, transitively, except
+  // options.caller.
+  evictModules (diff, options = {}) {
+    const scope = diff.scope
+    const table = this.getAliasTable(scope)
+    const changed = diff.aliases.removed.concat(diff.aliases.retargeted).map(entry => aliasKey(scope, entry.alias))
+    const evicted = []
+    const parents = options.parents ? requireParents() : null
+
+    const evict = (filename) => {
+      if (!require.cache[filename]) return
+      delete require.cache[filename]
+      evicted.push(filename)
+    }
+
+    // Everything that required filename, directly or not, up to the caller
+    // which keeps running with what it already has. Modules still loading
+    // are left alone too.
+    const evictParents = (filename) => {
+      const queue = [filename]
+      while (queue.length) {
+        for (const parent of parents.get(queue.shift()) || []) {
+          const cached = require.cache[parent]
+          if (!cached || !cached.loaded || parent === options.caller) continue
+          evict(parent)
+          queue.push(parent)
+        }
       }
     }
 
+    this.aliasModules.forEach((modules, key) => {
+      modules.forEach((entry, id) => {
+        const shadowed = diff.aliases.added.some(({ alias }) => {
+          return key !== aliasKey(scope, alias) && this.matchAlias(entry.request, alias, table) !== null
+        })
+        if (changed.indexOf(key) === -1 && !shadowed) return
+
+        evict(entry.filename)
+        if (parents) evictParents(entry.filename)
+        modules.delete(id)
+      })
+    })
+
+    diff.paths.removed.forEach(path => {
+      Object.keys(require.cache).forEach(filename => {
+        if (filename.indexOf(path + nodePath.sep) === 0) evict(filename)
+      })
+    })
+
+    return evicted
+  }
+
+  // Attach to the Node.js hooks shared by all instances
+  setupHooks () {
+    hooks.attach(this)
     this.log('debug', 'Module hooks installed')
   }
 
+  // Node's functions as they were before the shared hooks were installed
+  get oldResolveFilename () {
+    return hooks.originalResolveFilename()
+  }
+
+  get oldNodeModulePaths () {
+    return hooks.originalNodeModulePaths()
+  }
+
+  // Reset this instance, close its watchers and detach it from the shared
+  // hooks; Node's own functions come back once no instance is left
+  dispose () {
+    if (this.disposed) return
+
+    this.reset()
+    hooks.detach(this)
+    this.disposed = true
+
+    this.log('debug', 'Module alias manager disposed')
+    this.emit('disposed')
+    this.removeAllListeners()
+  }
+
+  // Install the ESM loader resolve hook (module.register, Node.js >= 20.6)
+  registerEsm () {
+    if (this.esmPort) return
+
+    if (typeof BuiltinModule.register !== 'function') {
+      throw new Error('ESM support requires module.register() (Node.js >= 20.6)')
+    }
+
+    const { MessageChannel } = require('worker_threads')
+    const { pathToFileURL } = require('url')
+    const { port1, port2 } = new MessageChannel()
+
+    this.esmPort = port1
+    this.esmVersion = new Int32Array(new SharedArrayBuffer(4))
+
+    // Function resolvers cannot be cloned to the loader thread, so it sends
+    // matching requests back here to be resolved
+    port1.on('message', (message) => {
+      if (message.type !== 'resolve') return
+
+      const parentModule = message.parentPath ? { filename: message.parentPath } : undefined
+      let result
+      let error
+      try {
+        result = this.resolveAlias(message.request, parentModule)
+      } catch (err) {
+        error = err.message
+      }
+      port1.postMessage({ type: 'resolved', id: message.id, result, error })
+    })
+    port1.unref()
+
+    const sync = () => this.syncEsmState()
+    this.on('aliasAdded', sync)
+    this.on('aliasRemoved', sync)
+    this.on('aliasesReloaded', sync)
+    this.on('conditionsChanged', sync)
+    this.on('reset', sync)
+
+    BuiltinModule.register('./lib/esm-hooks.mjs', {
+      parentURL: pathToFileURL(__filename),
+      data: { port: port2, version: this.esmVersion, state: this.getEsmState() },
+      transferList: [port2]
+    })
+
+    this.log('debug', 'ESM loader hooks installed')
+  }
+
+  // Alias tables as sent to the loader thread; function targets become null
+  // and RegExp aliases are sent as source and flags
+  getEsmState () {
+    const tableState = (table) => {
+      const aliases = {}
+      const regexps = {}
+      for (const alias of table.moduleAliasNames) {
+        const target = table.moduleAliases[alias]
+        const pattern = table.aliasPatterns[alias]
+        aliases[alias] = containsFunction(target) ? null : target
+        if (pattern && pattern.type === 'regexp') {
+          regexps[alias] = { source: pattern.regexp.source, flags: pattern.regexp.flags }
+        }
+      }
+      return { aliases, regexps }
+    }
+
+    return {
+      ...tableState(this),
+      scopes: Array.from(this.scopes.values()).map(table => ({ root: table.root, ...tableState(table) })),
+      conditions: this.conditions,
+      debug: this.debugMode
+    }
+  }
+
+  syncEsmState () {
+    if (!this.esmPort) return
+
+    // Bump the shared version first so the loader waits for this message
+    // before resolving anything else
+    const version = Atomics.add(this.esmVersion, 0, 1) + 1
+    this.esmPort.postMessage({ type: 'state', version, state: this.getEsmState() })
+  }
+
   // Enhanced path management
   addPath (path) {
+    this.assertNotFrozen(`add path ${path}`)
     path = nodePath.normalize(path)
 
     // Validation
@@ -252,76 +1240,596 @@ class ModuleAliasManager extends EventEmitter {
       throw new TypeError('Path must be a non-empty string')
     }
 
-    if (!fs.existsSync(path)) {
-      this.log('warn', 'Adding non-existent path', { path })
+    if (!fs.existsSync(path)) {
+      this.log('warn', 'Adding non-existent path', { path })
+    }
+
+    if (this.modulePaths.indexOf(path) === -1) {
+      this.modulePaths.push(path)
+      this.log('debug', 'Path added', { path })
+
+      // Enable the search path for the current top-level module
+      const mainModule = this.getMainModule()
+      if (mainModule) {
+        this.addPathHelper(path, mainModule.paths)
+      }
+
+      let parent = module.parent
+      while (parent && parent !== mainModule) {
+        this.addPathHelper(path, parent.paths)
+        parent = parent.parent
+      }
+
+      this.emit('pathAdded', { path })
+    }
+  }
+
+  removePath (path) {
+    this.assertNotFrozen(`remove path ${path}`)
+    path = nodePath.normalize(path)
+
+    const index = this.modulePaths.indexOf(path)
+    if (index === -1) return false
+
+    this.modulePaths.splice(index, 1)
+    delete this.pathSources[path]
+
+    const mainModule = this.getMainModule()
+    if (mainModule) {
+      this.removePathHelper(path, mainModule.paths)
+    }
+
+    let parent = module.parent
+    while (parent && parent !== mainModule) {
+      this.removePathHelper(path, parent.paths)
+      parent = parent.parent
+    }
+
+    this.resolutionCache.clear()
+    this.log('debug', 'Path removed', { path })
+    this.emit('pathRemoved', { path })
+    return true
+  }
+
+  // Enhanced alias management. options.scope limits the alias to files
+  // under that package root.
+  addAlias (alias, target, options = {}) {
+    this.assertNotFrozen(`add alias '${alias}'`)
+
+    // Input validation
+    if (!alias || (typeof alias !== 'string' && !(alias instanceof RegExp))) {
+      throw new TypeError('Alias must be a non-empty string or RegExp')
+    }
+
+    if (!isValidTarget(target)) {
+      throw new TypeError(`Target of alias '${alias}' must be a non-empty string, function, array of targets or conditions object`)
+    }
+
+    // Normalize paths
+    target = mapTargets(target, nodePath.normalize)
+
+    const scope = options.scope ? nodePath.resolve(options.scope) : undefined
+    const table = this.getAliasTable(scope, true)
+
+    // Wildcard and RegExp aliases are compiled once, RegExps are keyed by their source
+    const pattern = compileAliasPattern(alias)
+    if (pattern) {
+      alias = pattern.key
+      table.aliasPatterns[alias] = pattern
+    }
+
+    table.moduleAliases[alias] = target
+    table.moduleAliasNames = Object.keys(table.moduleAliases)
+    table.matcher = null
+
+    // Declared in code; package.json / tsconfig loaders record their file after this
+    delete table.aliasSources[alias]
+
+    // Cached resolutions may go through the old aliases
+    this.resolutionCache.clear()
+
+    this.log('debug', 'Alias added', { alias, target, scope })
+    this.emit('aliasAdded', { alias, target, scope })
+  }
+
+  removeAlias (alias, options = {}) {
+    this.assertNotFrozen(`remove alias '${alias}'`)
+    const scope = options.scope ? nodePath.resolve(options.scope) : undefined
+    const table = this.getAliasTable(scope)
+
+    const pattern = alias instanceof RegExp || typeof alias === 'string' ? compileAliasPattern(alias) : null
+    if (pattern) alias = pattern.key
+
+    if (!table || !Object.prototype.hasOwnProperty.call(table.moduleAliases, alias)) return false
+
+    const target = table.moduleAliases[alias]
+    delete table.moduleAliases[alias]
+    delete table.aliasPatterns[alias]
+    delete table.aliasSources[alias]
+    table.moduleAliasNames = Object.keys(table.moduleAliases)
+    table.matcher = null
+    this.releaseAsyncResolvers(target)
+
+    this.resolutionCache.clear()
+    this.log('debug', 'Alias removed', { alias, scope })
+    this.emit('aliasRemoved', { alias, scope })
+    return true
+  }
+
+  // Layer aliases on top of the current ones, e.g. to swap a module for a
+  // fake in a test. Modules loaded through the affected aliases, and every
+  // module that required them up to the calling file, are evicted from
+  // require.cache on apply and again on restore().
+  override (aliases, options = {}) {
+    this.assertNotFrozen('override aliases')
+    if (!aliases || typeof aliases !== 'object') {
+      throw new TypeError('Aliases must be an object')
+    }
+
+    const scope = options.scope ? nodePath.resolve(options.scope) : undefined
+    const table = this.getAliasTable(scope, true)
+    const layer = { scope, aliases: {}, previous: {} }
+    const diff = this.overrideDiff(scope)
+
+    for (const alias in aliases) {
+      const previous = Object.prototype.hasOwnProperty.call(table.moduleAliases, alias)
+        ? { target: table.moduleAliases[alias], source: table.aliasSources[alias] }
+        : null
+
+      this.addAlias(alias, aliases[alias], { scope })
+      layer.aliases[alias] = table.moduleAliases[alias]
+      layer.previous[alias] = previous
+
+      if (previous) {
+        diff.aliases.retargeted.push({ alias, from: previous.target, to: layer.aliases[alias] })
+      } else {
+        diff.aliases.added.push({ alias, target: layer.aliases[alias] })
+      }
+    }
+
+    this.overrides.push(layer)
+    diff.evicted = this.evictModules(diff, { parents: true, caller: callerFilename() })
+    this.log('debug', 'Aliases overridden', { aliases: Object.keys(layer.aliases), scope, evicted: diff.evicted.length })
+
+    let restored = false
+    return {
+      aliases: layer.aliases,
+      evicted: diff.evicted,
+      restore: () => {
+        if (restored) return []
+        restored = true
+        return this.restoreOverride(layer)
+      }
+    }
+  }
+
+  // Undo one override() layer. Aliases that a later layer overrides again
+  // keep its target; that layer will restore the original one.
+  restoreOverride (layer) {
+    const index = this.overrides.indexOf(layer)
+    if (index === -1) return []
+    this.overrides.splice(index, 1)
+
+    const table = this.getAliasTable(layer.scope, true)
+    const diff = this.overrideDiff(layer.scope)
+
+    for (const alias in layer.aliases) {
+      const above = this.overrides.slice(index).find(other => other.scope === layer.scope && alias in other.aliases)
+      if (above) {
+        above.previous[alias] = layer.previous[alias]
+        continue
+      }
+
+      const previous = layer.previous[alias]
+      if (previous) {
+        this.addAlias(alias, previous.target, { scope: layer.scope })
+        if (previous.source) table.aliasSources[alias] = previous.source
+        diff.aliases.retargeted.push({ alias, from: layer.aliases[alias], to: previous.target })
+      } else {
+        this.removeAlias(alias, { scope: layer.scope })
+        diff.aliases.removed.push({ alias, target: layer.aliases[alias] })
+      }
+    }
+
+    diff.evicted = this.evictModules(diff, { parents: true, caller: callerFilename() })
+    this.log('debug', 'Alias override restored', { aliases: Object.keys(layer.aliases), scope: layer.scope, evicted: diff.evicted.length })
+    return diff.evicted
+  }
+
+  overrideDiff (scope) {
+    return {
+      source: 'override',
+      scope,
+      aliases: { added: [], removed: [], retargeted: [] },
+      paths: { added: [], removed: [] },
+      evicted: []
+    }
+  }
+
+  // Run fn with aliases overridden, restoring them when it returns, throws
+  // or, for async functions, settles
+  withAliases (aliases, fn, options = {}) {
+    const handle = this.override(aliases, options)
+
+    let result
+    try {
+      result = fn()
+    } catch (error) {
+      handle.restore()
+      throw error
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(value => {
+        handle.restore()
+        return value
+      }, error => {
+        handle.restore()
+        throw error
+      })
+    }
+
+    handle.restore()
+    return result
+  }
+
+  addAliases (aliases, options = {}) {
+    if (!aliases || typeof aliases !== 'object') {
+      throw new TypeError('Aliases must be an object')
+    }
+
+    for (const alias in aliases) {
+      this.addAlias(alias, aliases[alias], options)
+    }
+  }
+
+  // Aliases and module paths a tsconfig.json / jsconfig.json declares
+  readTsconfig (tsconfigPath, options = {}) {
+    const config = loadTsconfig(tsconfigPath)
+    const source = config.files[config.files.length - 1]
+    const aliases = {}
+    const paths = []
+
+    // Compiled code running from outDir should get the compiled targets
+    const useOutDir = options.outDir !== undefined
+      ? options.outDir
+      : Boolean(config.outDir && this.isRunningFrom(config.outDir))
+    const mapTarget = (target) => useOutDir && config.outDir ? this.toOutDir(target, config) : target
+
+    if (config.baseUrl) {
+      paths.push(nodePath.normalize(mapTarget(config.baseUrl)))
+    }
+
+    const patterns = config.paths || {}
+    for (const pattern in patterns) {
+      const wildcards = pattern.split('*').length - 1
+      if (wildcards > 1) {
+        this.log('warn', 'Unsupported tsconfig path pattern', { pattern })
+        continue
+      }
+
+      const targets = [].concat(patterns[pattern]).filter(target => {
+        const valid = typeof target === 'string' && target.split('*').length - 1 <= wildcards
+        if (!valid) this.log('warn', 'Unsupported tsconfig path target', { pattern, target })
+        return valid
+      })
+      if (!targets.length) continue
+
+      // "foo/*" -> "dir/*" maps onto a plain prefix alias
+      const prefix = /(^|\/)\*$/.test(pattern) && targets.every(target => /(^|[\\/])\*$/.test(target))
+      const resolved = targets.map(target => {
+        const dir = prefix ? target.slice(0, -1).replace(/[\\/]$/, '') : target
+        return mapTarget(nodePath.resolve(config.pathsBase, dir))
+      })
+
+      // "*" makes every module under the targets importable by bare name
+      if (pattern === '*') {
+        if (prefix) {
+          resolved.forEach(path => paths.push(nodePath.normalize(path)))
+        } else {
+          this.log('warn', 'Unsupported tsconfig path pattern', { pattern })
+        }
+        continue
+      }
+
+      aliases[prefix ? pattern.slice(0, -2) : pattern] = resolved.length === 1 ? resolved[0] : resolved
+    }
+
+    return { config, source, aliases, paths, useOutDir }
+  }
+
+  // Import baseUrl and paths from a tsconfig.json / jsconfig.json
+  addTsconfig (tsconfigPath, options = {}) {
+    const { config, source, aliases, paths, useOutDir } = this.readTsconfig(tsconfigPath, options)
+    const scope = options.scope ? nodePath.resolve(options.scope) : undefined
+
+    paths.forEach(path => {
+      this.addPath(path)
+      this.pathSources[path] = source
+    })
+
+    for (const alias in aliases) {
+      this.addAlias(alias, aliases[alias], { scope })
+      this.getAliasTable(scope).aliasSources[alias] = source
+    }
+
+    // Reload when the tsconfig or any file it extends changes
+    if (options.watch) {
+      this.watchTsconfig(tsconfigPath, config.files, options)
+    }
+
+    this.log('info', 'Imported tsconfig paths', { path: source, outDir: useOutDir })
+    return config
+  }
+
+  isRunningFrom (dir) {
+    const mainModule = this.getMainModule()
+    return Boolean(mainModule && mainModule.filename &&
+      mainModule.filename.indexOf(dir + nodePath.sep) === 0)
+  }
+
+  // Map a source path under rootDir to its compiled location under outDir
+  toOutDir (target, config) {
+    const relative = nodePath.relative(config.rootDir || config.inferredRootDir, target)
+    if (relative.indexOf('..') === 0 || nodePath.isAbsolute(relative)) return target
+
+    return nodePath.join(config.outDir, relative)
+      .replace(/\.tsx?$/, '.js')
+      .replace(/\.([mc])ts$/, '.$1js')
+  }
+
+  // Aliases in match order with their targets under the active conditions,
+  // as consumed by the config exporters. With options.scope, the aliases
+  // files under that package root see: its scoped aliases, then the global
+  // ones they do not shadow. Otherwise the global aliases, with the scoped
+  // ones reported since a single config cannot limit them to their root.
+  getExportEntries (options = {}) {
+    const scope = options.scope ? nodePath.resolve(options.scope) : null
+    const table = scope && this.getAliasTable(scope)
+    if (scope && !table) {
+      throw new Error(`No aliases are scoped to '${scope}'`)
+    }
+
+    const entries = table ? this.getTableExportEntries(table) : []
+    const shadowed = new Set(entries.map(entry => entry.alias))
+    const global = this.getTableExportEntries(this).filter(entry => !shadowed.has(entry.alias))
+
+    const scoped = []
+    if (!scope) {
+      for (const root of this.scopes.keys()) {
+        for (const alias of this.scopes.get(root).moduleAliasNames) {
+          scoped.push({ alias, type: 'prefix', regexp: null, error: `scoped to ${root}; export it with { scope }` })
+        }
+      }
+    }
+
+    return entries.concat(global, scoped)
+  }
+
+  getTableExportEntries (table) {
+    return this.getAliasMatcher(table).sorted.map(alias => {
+      const pattern = table.aliasPatterns[alias]
+      const entry = {
+        alias,
+        type: pattern ? pattern.type : 'prefix',
+        regexp: pattern ? pattern.regexp : null
+      }
+
+      const targets = this.staticTargets(table.moduleAliases[alias])
+      if (targets === null) {
+        entry.error = 'custom resolver functions cannot be exported'
+      } else if (!targets.length) {
+        entry.error = 'no branch matches the active conditions'
+      } else {
+        entry.targets = targets
+      }
+
+      return entry
+    })
+  }
+
+  // Candidate paths of a target, or null when a function is involved
+  staticTargets (target) {
+    if (typeof target === 'function') return null
+
+    if (isConditionObject(target)) {
+      const selected = this.selectCondition(target)
+      return selected ? this.staticTargets(selected.target) : []
+    }
+
+    if (Array.isArray(target)) {
+      const candidates = target.map(candidate => this.staticTargets(candidate))
+      return candidates.indexOf(null) !== -1 ? null : [].concat(...candidates)
+    }
+
+    return [target]
+  }
+
+  // Config exporters
+  toWebpack (options = {}) {
+    return exporters.toWebpack(this.getExportEntries(options), this.modulePaths)
+  }
+
+  toJestModuleNameMapper (options = {}) {
+    return exporters.toJestModuleNameMapper(this.getExportEntries(options), this.modulePaths)
+  }
+
+  toVite (options = {}) {
+    return exporters.toVite(this.getExportEntries(options), this.modulePaths)
+  }
+
+  toBabelModuleResolver (options = {}) {
+    return exporters.toBabelModuleResolver(this.getExportEntries(options), this.modulePaths)
+  }
+
+  toEslintImportResolver (options = {}) {
+    return exporters.toEslintImportResolver(this.getExportEntries(options), this.modulePaths)
+  }
+
+  toTsconfigPaths (options = {}) {
+    const baseUrl = nodePath.resolve(options.baseUrl || process.cwd())
+    return exporters.toTsconfigPaths(this.getExportEntries(options), this.modulePaths, baseUrl)
+  }
+
+  // Rewrite relative requires / imports into aliases, or back with options.reverse.
+  // Loaded on demand so acorn stays out of the runtime path
+  codemod (paths, options = {}) {
+    return require('./lib/codemod').codemod(this, paths, options)
+  }
+
+  // Statically find imports and requires that do not resolve
+  analyze (patterns, options = {}) {
+    return require('./lib/analyze').analyze(this, patterns, options)
+  }
+
+  formatAnalysis (result, options = {}) {
+    return require('./lib/analyze').formatAnalysis(result, options)
+  }
+
+  // Render an explain() trace, colored with chalk unless options.color is false
+  formatExplanation (trace, options = {}) {
+    return formatExplanation(trace, options)
+  }
+
+  // An alias whose target comes from an async resolver. Synchronous
+  // require() calls use what resolveAsync() or preload() settled.
+  addAsyncAlias (alias, resolver, options = {}) {
+    this.assertNotFrozen(`add alias '${alias}'`)
+    if (typeof resolver !== 'function') {
+      throw new TypeError(`Async resolver of alias '${alias}' must be a function`)
     }
 
-    if (this.modulePaths.indexOf(path) === -1) {
-      this.modulePaths.push(path)
-      this.log('debug', 'Path added', { path })
+    this.asyncResolvers.set(resolver, new Map())
+    this.addAlias(alias, resolver, options)
+  }
 
-      // Enable the search path for the current top-level module
-      const mainModule = this.getMainModule()
-      if (mainModule) {
-        this.addPathHelper(path, mainModule.paths)
-      }
+  // Settled targets are keyed by request and parent, like resolutions,
+  // since resolvers get both; preload() settles the alias itself
+  asyncTargetKey (request, fromPath) {
+    return `${request}\0${fromPath}`
+  }
 
-      let parent = module.parent
-      while (parent && parent !== mainModule) {
-        this.addPathHelper(path, parent.paths)
-        parent = parent.parent
-      }
+  // Forget the async resolvers of a removed target, with what they
+  // settled, unless another alias still uses them
+  releaseAsyncResolvers (target) {
+    const tables = [this].concat(Array.from(this.scopes.values()))
+    for (const resolver of Array.from(this.asyncResolvers.keys())) {
+      const only = new Set([resolver])
+      if (!containsAsyncResolver(target, only)) continue
 
-      this.emit('pathAdded', { path })
+      const used = tables.some(table => table.moduleAliasNames.some(name => containsAsyncResolver(table.moduleAliases[name], only)))
+      if (!used) this.asyncResolvers.delete(resolver)
     }
   }
 
-  // Enhanced alias management
-  addAlias (alias, target) {
-    // Input validation
-    if (!alias || typeof alias !== 'string') {
-      throw new TypeError('Alias must be a non-empty string')
+  // Target an async resolver settled for the request from fromPath, or for
+  // the alias itself when preloaded
+  getAsyncTarget (resolver, match, request, fromPath) {
+    const alias = match.alias
+    const targets = this.asyncResolvers.get(resolver)
+    const key = this.asyncTargetKey(request, fromPath)
+    const target = targets.has(key) ? targets.get(key) : targets.get(aliasKey(match.scope, alias))
+
+    if (target === undefined) {
+      throw new Error(`Async alias '${alias}' has not been resolved for '${request}' yet; use resolveAsync() or preload() first`)
     }
+    return target
+  }
 
-    if (!target || (typeof target !== 'string' && typeof target !== 'function')) {
-      throw new TypeError('Target must be a non-empty string or function')
+  async runAsyncResolver (resolver, match, fromPath, request, key) {
+    const alias = match.alias
+    let target
+    try {
+      target = await resolver(fromPath, request, alias)
+      if (!target || typeof target !== 'string') {
+        throw new Error(`Async resolver of alias '${alias}' must resolve to a valid path string`)
+      }
+    } catch (error) {
+      if (this.metrics) this.metrics.resolverError(alias, match.scope)
+      this.log('error', 'Async alias resolver failed', { alias, error: error.message })
+      throw error
     }
 
-    // Normalize paths
-    if (typeof target === 'string') {
-      target = nodePath.normalize(target)
+    this.asyncResolvers.get(resolver).set(key, target)
+    return target
+  }
+
+  // Run the async resolvers a target would go through for a request:
+  // the active condition branch and every fallback candidate. Targets are
+  // kept under key.
+  async settleAsyncTargets (target, match, fromPath, request, key) {
+    if (isConditionObject(target)) {
+      const selected = this.selectCondition(target)
+      if (selected) await this.settleAsyncTargets(selected.target, match, fromPath, request, key)
+    } else if (Array.isArray(target)) {
+      for (const candidate of target) {
+        await this.settleAsyncTargets(candidate, match, fromPath, request, key)
+      }
+    } else if (this.asyncResolvers.has(target)) {
+      await this.runAsyncResolver(target, match, fromPath, request, key)
     }
+  }
 
-    this.moduleAliases[alias] = target
-    this.moduleAliasNames = Object.keys(this.moduleAliases)
+  // Resolve a request to a filename, awaiting async resolvers and checking
+  // the target with fs.promises. The result is cached for require().
+  async resolveAsync (request, parentModule) {
+    this.stats.resolutions++
+    this.syncEnvConditions()
 
-    // Clear performance cache when aliases change
-    this.performanceCache.clear()
+    const cacheKey = this.resolutionCacheKey(request, parentModule)
+    const cached = this.getCachedResolution(cacheKey)
+    let resolvedRequest = cached && cached.resolved
+    let match = cached && cached.match
+    let resolvedTarget = null
+
+    if (cached && match && this.metrics) {
+      this.metrics.cacheHit(match.alias, match.scope)
+    } else if (!cached) {
+      resolvedRequest = request
+
+      match = this.findAliasMatch(request, parentModule && parentModule.filename)
+      if (match !== null) {
+        const fromPath = (parentModule && parentModule.filename) || process.cwd()
+        const target = this.getAliasTable(match.scope).moduleAliases[match.alias]
+        await this.settleAsyncTargets(target, match, fromPath, request, this.asyncTargetKey(request, fromPath))
+
+        const resolution = this.resolveAliasMatch(match, request, parentModule)
+        if (!this.frozen && !(await this.validateAliasTargetAsync(resolution.target))) {
+          this.log('warn', 'Alias target does not exist', { alias: resolution.alias, target: resolution.target })
+        }
 
-    this.log('debug', 'Alias added', { alias, target })
-    this.emit('aliasAdded', { alias, target })
-  }
+        this.reportAliasResolution(resolution)
+        resolvedRequest = resolution.resolved
+        resolvedTarget = resolution.target
+      }
 
-  addAliases (aliases) {
-    if (!aliases || typeof aliases !== 'object') {
-      throw new TypeError('Aliases must be an object')
+      this.setCachedResolution(cacheKey, { resolved: resolvedRequest, match, target: resolvedTarget })
     }
 
-    for (const alias in aliases) {
-      this.addAlias(alias, aliases[alias])
-    }
+    const filename = this.oldResolveFilename.call(Module, resolvedRequest, parentModule || null, false)
+    if (match) this.trackAliasModule(request, parentModule, filename, match)
+    return filename
   }
 
-  // Async resolver support
-  async resolveAsync (request, parentModule) {
-    return new Promise((resolve, reject) => {
-      try {
-        const result = this.resolveAlias(request, parentModule)
-        resolve(result)
-      } catch (error) {
-        reject(error)
+  // Settle every async alias before the app starts requiring modules.
+  // Wildcard and RegExp aliases need a request, so they are left to
+  // resolveAsync().
+  async preload () {
+    const tables = [this].concat(Array.from(this.scopes.values()))
+    const preloaded = []
+
+    for (const table of tables) {
+      for (const alias of table.moduleAliasNames) {
+        if (table.aliasPatterns[alias] || !containsAsyncResolver(table.moduleAliases[alias], this.asyncResolvers)) continue
+
+        const fromPath = table.root ? nodePath.join(table.root, 'package.json') : process.cwd()
+        await this.settleAsyncTargets(table.moduleAliases[alias], { alias, scope: table.root }, fromPath, alias, aliasKey(table.root, alias))
+        preloaded.push(alias)
       }
-    })
+    }
+
+    this.log('debug', 'Async aliases preloaded', { aliases: preloaded })
+    return preloaded
   }
 
   // Helper methods
@@ -351,6 +1859,12 @@ class ModuleAliasManager extends EventEmitter {
   reset () {
     this.log('debug', 'Resetting module alias manager')
 
+    // Saved for the config it was recorded with, before that is cleared
+    this.disablePersistentCache()
+    this.disableMetrics()
+    this.disableGraph()
+    this.disablePropagation()
+
     const mainModule = this.getMainModule()
 
     // Reset all changes in paths
@@ -373,22 +1887,37 @@ class ModuleAliasManager extends EventEmitter {
       }
     })
 
-    // Stop all watchers
-    this.watchers.forEach(watcher => watcher.close())
-    this.watchers.clear()
+    this.stopWatching()
 
     // Clear all state
+    this.frozen = null
+    this.projectRoot = null
     this.modulePaths = []
     this.moduleAliases = {}
     this.moduleAliasNames = []
-    this.performanceCache.clear()
+    this.aliasPatterns = {}
+    this.matcher = null
+    this.aliasSources = {}
+    this.pathSources = {}
+    this.scopes.clear()
+    this.aliasModules.clear()
+    this.overrides = []
+    this.resolutionCache.clear()
+    this.resolutionCache.resetStats()
     this.asyncResolvers.clear()
+    this.rules = []
+    this.rulesMode = 'warn'
+    this.boundaryViolations.clear()
+
+    this.conditions = []
+    this.envConditions = envConditions()
 
     // Reset stats
     this.stats = {
       resolutions: 0,
       cacheHits: 0,
-      aliasMatches: 0
+      aliasMatches: 0,
+      conditionMatches: {}
     }
 
     this.emit('reset')
@@ -397,6 +1926,8 @@ class ModuleAliasManager extends EventEmitter {
 
   // Enhanced init with better error handling and features
   init (options = {}) {
+    this.assertNotFrozen('init()')
+
     if (typeof options === 'string') {
       options = { base: options }
     }
@@ -406,6 +1937,30 @@ class ModuleAliasManager extends EventEmitter {
       this.debugMode = options.debug
     }
 
+    if (options.conditions) {
+      this.setConditions(options.conditions)
+    }
+
+    if (options.watchDebounce !== undefined) {
+      this.watchDebounce = options.watchDebounce
+    }
+
+    if (options.cache) {
+      this.configureCache(options.cache)
+    }
+
+    if (options.metrics) {
+      this.enableMetrics(options.metrics === true ? {} : options.metrics)
+    }
+
+    if (options.rulesMode) {
+      this.setRulesMode(options.rulesMode)
+    }
+
+    if (options.graph) {
+      this.enableGraph()
+    }
+
     let candidatePackagePaths
     if (options.base) {
       candidatePackagePaths = [nodePath.resolve(options.base.replace(/\/package\.json$/, ''))]
@@ -437,44 +1992,82 @@ class ModuleAliasManager extends EventEmitter {
     if (typeof npmPackage !== 'object') {
       const pathString = candidatePackagePaths.join(',\n')
       const error = new Error(`Unable to find package.json in any of:\n[${pathString}]`)
+      error.code = 'ERR_ALIAS_NO_PACKAGE_JSON'
       this.log('error', 'Package.json not found', { candidatePaths: candidatePackagePaths })
       throw error
     }
 
     this.log('info', 'Found package.json', { path: packageJsonPath })
 
+    // The first package to init() is the app and owns the global table, so
+    // its aliases also work for files outside its root (tests, scripts,
+    // linked packages). Any other package is scoped to its root, instead of
+    // replacing the aliases of everyone, unless scope is false.
+    const scoped = options.scope !== undefined
+      ? Boolean(options.scope)
+      : Boolean(this.projectRoot) && this.projectRoot !== nodePath.resolve(base)
+    if (!scoped && !this.projectRoot) this.projectRoot = nodePath.resolve(base)
+
+    // Aliases of a scoped package only apply to files under its root
+    const scope = scoped ? nodePath.resolve(base) : undefined
+
     // Setup hot reload if enabled
     if (options.hotReload !== false) {
-      this.watchPackageJson(packageJsonPath)
+      this.watchPackageJson(packageJsonPath, scope)
     }
 
-    // Import aliases with validation
-    const aliases = npmPackage._moduleAliases || {}
-    const processedAliases = {}
-
-    for (const alias in aliases) {
-      let target = aliases[alias]
-      if (target[0] !== '/') {
-        target = nodePath.join(base, target)
-      }
-      processedAliases[alias] = target
+    // Import paths from tsconfig.json / jsconfig.json
+    if (options.tsconfig) {
+      this.addTsconfig(options.tsconfig === true
+        ? this.findTsconfig(base)
+        : nodePath.resolve(base, options.tsconfig), { scope, watch: options.hotReload !== false })
     }
 
-    this.addAliases(processedAliases)
+    this.addPackageAliases(npmPackage, packageJsonPath, scope)
 
     // Register custom module directories
-    if (Array.isArray(npmPackage._moduleDirectories)) {
-      npmPackage._moduleDirectories.forEach(dir => {
-        if (dir === 'node_modules') return
+    packageModuleDirectories(npmPackage, base).forEach(modulePath => {
+      this.addPath(modulePath)
+      this.pathSources[modulePath] = packageJsonPath
+    })
 
-        const modulePath = nodePath.join(base, dir)
-        this.addPath(modulePath)
-      })
+    // .superaliasrc.json / superalias.config.js next to package.json
+    const configFile = options.config === false
+      ? null
+      : options.config ? nodePath.resolve(base, options.config) : findConfigFile(base)
+    if (configFile) {
+      this.addConfigFile(configFile, { scope, watch: options.hotReload !== false })
+    }
+
+    // Every workspace package gets its own scope
+    if (options.workspaces) {
+      this.addWorkspaces(base, npmPackage, options)
+    }
+
+    // Notice alias targets appearing or disappearing
+    if (options.hotReload !== false) {
+      this.watchTargets()
+    }
+
+    // Loaded last: its entries are only valid for the complete alias config
+    if (options.persistentCache) {
+      this.enablePersistentCache(nodePath.resolve(base, options.persistentCache))
+    }
+
+    if (options.propagate) {
+      this.enablePropagation()
+    }
+
+    // After everything else: nothing can be added once frozen
+    if (options.freeze) {
+      const snapshot = options.freeze.snapshot
+      this.freeze({ snapshot: snapshot && nodePath.resolve(base, snapshot), root: base })
     }
 
     this.log('info', 'Module alias manager initialized', {
       aliasCount: this.moduleAliasNames.length,
       pathCount: this.modulePaths.length,
+      scopeCount: this.scopes.size,
       hotReload: options.hotReload !== false
     })
 
@@ -484,14 +2077,548 @@ class ModuleAliasManager extends EventEmitter {
     })
   }
 
-  // Get performance statistics
-  getStats () {
+  // Import the _moduleAliases of a package.json, targets relative to it
+  addPackageAliases (npmPackage, packageJsonPath, scope) {
+    this.validatePackageConfig(npmPackage, packageJsonPath)
+    const processedAliases = packageAliasTargets(npmPackage, nodePath.dirname(packageJsonPath))
+    this.setSourceRules(packageJsonPath, packageRules(npmPackage), nodePath.dirname(packageJsonPath))
+
+    this.addAliases(processedAliases, { scope })
+
+    const table = this.getAliasTable(scope)
+    for (const alias in processedAliases) {
+      table.aliasSources[alias] = packageJsonPath
+    }
+  }
+
+  // The "superAlias" key must match schema.json like a config file
+  validatePackageConfig (npmPackage, packageJsonPath) {
+    if (npmPackage.superAlias !== undefined) {
+      validateConfig(npmPackage.superAlias, `${packageJsonPath} ("superAlias")`)
+    }
+  }
+
+  // Aliases and module directories of a .superaliasrc.json /
+  // superalias.config.js, targets relative to it
+  readConfigFile (configPath) {
+    const source = nodePath.resolve(configPath)
+    const config = loadConfigFile(source)
+    const base = nodePath.dirname(source)
+
+    return {
+      config,
+      source,
+      aliases: relativeAliasTargets(config.aliases || {}, base),
+      paths: moduleDirectoryPaths(config.moduleDirectories || [], base),
+      rules: config.rules || []
+    }
+  }
+
+  // Import a dedicated alias config file. Its aliases win over the ones of
+  // package.json; module directories are ignored for scoped packages.
+  addConfigFile (configPath, options = {}) {
+    const { config, source, aliases, paths, rules } = this.readConfigFile(configPath)
+    const scope = options.scope ? nodePath.resolve(options.scope) : undefined
+
+    this.setSourceRules(source, rules, nodePath.dirname(source))
+
+    if (!scope) {
+      paths.forEach(path => {
+        this.addPath(path)
+        this.pathSources[path] = source
+      })
+    }
+
+    this.addAliases(aliases, { scope })
+    const table = this.getAliasTable(scope)
+    for (const alias in aliases) {
+      table.aliasSources[alias] = source
+    }
+
+    if (options.watch) {
+      this.watchConfigFile(source, () => this.reloadConfigFile(source, options))
+    }
+
+    this.log('info', 'Imported alias config file', { path: source, aliasCount: Object.keys(aliases).length })
+    return config
+  }
+
+  // Re-read a config file and apply the diff
+  reloadConfigFile (configPath, options = {}) {
+    try {
+      const { source, aliases, paths, rules } = this.readConfigFile(configPath)
+      const scope = options.scope ? nodePath.resolve(options.scope) : undefined
+      this.setSourceRules(source, rules, nodePath.dirname(source))
+      return this.applySourceDiff(source, aliases, scope ? undefined : paths, scope)
+    } catch (error) {
+      this.log('error', 'Failed to reload alias config file', { path: configPath, error: error.message })
+    }
+  }
+
+  // Load the aliases of every npm / yarn / pnpm workspace package into a
+  // scope of its own
+  addWorkspaces (root, rootPackage, options = {}) {
+    const packages = findWorkspacePackages(root, rootPackage)
+
+    for (const dir of packages) {
+      const packageJsonPath = nodePath.join(dir, 'package.json')
+      let npmPackage
+      try {
+        npmPackage = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))
+      } catch (error) {
+        this.log('error', 'Unable to read workspace package.json', { path: packageJsonPath, error: error.message })
+        continue
+      }
+
+      this.addPackageAliases(npmPackage, packageJsonPath, dir)
+      if (options.hotReload !== false) {
+        this.watchPackageJson(packageJsonPath, dir)
+      }
+
+      const configFile = options.config === false ? null : findConfigFile(dir)
+      if (configFile) {
+        this.addConfigFile(configFile, { scope: dir, watch: options.hotReload !== false })
+      }
+    }
+
+    this.log('info', 'Workspace packages loaded', { root, packages })
+    return packages
+  }
+
+  findTsconfig (base) {
+    const candidates = ['tsconfig.json', 'jsconfig.json'].map(name => nodePath.join(base, name))
+    const found = candidates.find(candidate => fs.existsSync(candidate))
+
+    if (!found) {
+      throw new Error(`Unable to find tsconfig.json or jsconfig.json in ${base}`)
+    }
+
+    return found
+  }
+
+  // Hash of everything resolutions depend on besides the file system. With
+  // a root, paths are hashed relative to it so the hash survives moving the
+  // project to another directory.
+  aliasConfigHash (root) {
+    const relative = (path) => root && nodePath.isAbsolute(path) ? nodePath.relative(root, path).split(nodePath.sep).join('/') : path
+    const tables = [this].concat(Array.from(this.scopes.values()))
+    const config = {
+      node: process.versions.node.split('.')[0],
+      aliases: tables.map(table => [table.root ? relative(table.root) : null, table.moduleAliasNames.map(alias => [alias, mapTargets(table.moduleAliases[alias], relative)])]),
+      paths: this.modulePaths.map(relative),
+      conditions: this.getActiveConditions()
+    }
+    const json = JSON.stringify(config, (key, value) => typeof value === 'function' ? value.toString() : value)
+
+    return crypto.createHash('sha1').update(json).digest('hex')
+  }
+
+  // The alias table, module paths and conditions as JSON-safe data
+  serialize () {
+    return serializeState(this)
+  }
+
+  // Add the aliases of serialize(), e.g. in a worker or child process
+  hydrate (state) {
+    hydrateState(this, state)
+    this.log('debug', 'Aliases hydrated', { aliasCount: this.moduleAliasNames.length, scopeCount: this.scopes.size })
+    if (state.propagate) this.enablePropagation()
+  }
+
+  // Pass the aliases on to child processes: the serialized state goes into
+  // an environment variable, and super-alias/register into NODE_OPTIONS
+  // (spawned node processes) and process.execArgv (fork()). Kept up to date
+  // as aliases change.
+  enablePropagation () {
+    this.disablePropagation()
+
+    const register = require.resolve('./register')
+    const option = `--require ${/\s/.test(register) ? JSON.stringify(register) : register}`
+    const nodeOptions = process.env.NODE_OPTIONS || ''
+    const propagation = {
+      register,
+      option: nodeOptions.indexOf(option) === -1 ? option : null,
+      execArgv: !process.execArgv.some((arg, index) => arg === register && process.execArgv[index - 1] === '--require'),
+      listener: () => this.updatePropagatedState()
+    }
+
+    if (propagation.option) process.env.NODE_OPTIONS = nodeOptions ? `${nodeOptions} ${option}` : option
+    if (propagation.execArgv) process.execArgv.push('--require', register)
+    ALIAS_CONFIG_EVENTS.forEach(event => this.on(event, propagation.listener))
+
+    this.propagation = propagation
+    this.updatePropagatedState()
+    this.log('debug', 'Propagating aliases to child processes', { register })
+  }
+
+  updatePropagatedState () {
+    const state = this.serialize()
+    if (state.unsupported.length) {
+      this.log('warn', 'Aliases not passed on to child processes', { unsupported: state.unsupported })
+    }
+    process.env[STATE_ENV] = JSON.stringify(state)
+  }
+
+  disablePropagation () {
+    const propagation = this.propagation
+    if (!propagation) return
+
+    ALIAS_CONFIG_EVENTS.forEach(event => this.off(event, propagation.listener))
+    delete process.env[STATE_ENV]
+
+    if (propagation.option && process.env.NODE_OPTIONS) {
+      const nodeOptions = process.env.NODE_OPTIONS.replace(propagation.option, '').trim()
+      if (nodeOptions) {
+        process.env.NODE_OPTIONS = nodeOptions
+      } else {
+        delete process.env.NODE_OPTIONS
+      }
+    }
+
+    if (propagation.execArgv) {
+      const index = process.execArgv.findIndex((arg, i) => arg === propagation.register && process.execArgv[i - 1] === '--require')
+      if (index !== -1) process.execArgv.splice(index - 1, 2)
+    }
+
+    this.propagation = null
+  }
+
+  // Options for new Worker(): worker threads ignore changes to NODE_OPTIONS
+  // and process.execArgv after startup, so they get the aliases explicitly
+  workerOptions (options = {}) {
+    const register = require.resolve('./register')
+    const execArgv = (options.execArgv || process.execArgv).slice()
+    if (!execArgv.some((arg, index) => arg === register && execArgv[index - 1] === '--require')) {
+      execArgv.push('--require', register)
+    }
+
+    const env = Object.assign({}, typeof options.env === 'object' ? options.env : process.env)
+    env[STATE_ENV] = JSON.stringify(this.serialize())
+
+    return Object.assign({}, options, { execArgv, env })
+  }
+
+  // Keep final resolutions in file between runs, written on exit
+  enablePersistentCache (file) {
+    this.disablePersistentCache()
+
+    const cache = new PersistentCache(nodePath.resolve(file))
+    const loaded = cache.load(this.aliasConfigHash())
+    this.log('info', loaded ? 'Persistent cache loaded' : 'Starting a new persistent cache', { file: cache.file, entries: cache.size })
+
+    // Entries recorded from now on belong to the config at save time
+    this.persistentCacheListener = () => cache.clear()
+    ALIAS_CONFIG_EVENTS.forEach(event => this.on(event, this.persistentCacheListener))
+
+    this.persistentCacheExit = () => this.savePersistentCache()
+    process.on('exit', this.persistentCacheExit)
+
+    this.persistentCache = cache
+    return cache
+  }
+
+  // Resolutions through aliases with a function target depend on more
+  // than the files the persistent cache checks, so they are not kept
+  isPersistable (match) {
+    return !containsFunction(this.getAliasTable(match.scope).moduleAliases[match.alias])
+  }
+
+  savePersistentCache () {
+    if (!this.persistentCache) return false
+
+    try {
+      const saved = this.persistentCache.save(this.aliasConfigHash())
+      if (saved) this.log('debug', 'Persistent cache saved', { file: this.persistentCache.file, entries: this.persistentCache.size })
+      return saved
+    } catch (error) {
+      this.log('error', 'Failed to save persistent cache', { file: this.persistentCache.file, error: error.message })
+      return false
+    }
+  }
+
+  // Save and stop using the persistent cache
+  disablePersistentCache () {
+    if (!this.persistentCache) return
+
+    this.savePersistentCache()
+    ALIAS_CONFIG_EVENTS.forEach(event => this.off(event, this.persistentCacheListener))
+    process.removeListener('exit', this.persistentCacheExit)
+    this.persistentCache = null
+  }
+
+  // Lock the manager for production: aliases, module paths and conditions
+  // can no longer change, watchers stop and targets are no longer checked
+  // on disk. Every alias is precompiled to its branch for the conditions
+  // active now. options.snapshot loads a manifest written by snapshot(),
+  // with paths relative to options.root (default: the base of init()).
+  freeze (options = {}) {
+    if (this.frozen) return
+
+    this.stopWatching()
+
+    const conditions = this.getActiveConditions()
+    const targets = {}
+    const tables = [this].concat(Array.from(this.scopes.values()))
+    tables.forEach(table => {
+      table.moduleAliasNames.forEach(alias => {
+        const target = table.moduleAliases[alias]
+        const selected = isConditionObject(target) ? this.selectCondition(target, conditions) : { condition: '', target }
+        targets[aliasKey(table.root, alias)] = selected && Object.freeze({ target: selected.target, condition: selected.condition || undefined })
+      })
+
+      this.getAliasMatcher(table)
+      Object.freeze(table.moduleAliases)
+      Object.freeze(table.moduleAliasNames)
+    })
+    Object.freeze(this.modulePaths)
+    Object.freeze(this.conditions)
+
+    let snapshot = null
+    let snapshotError = null
+    if (options.snapshot) {
+      const file = nodePath.resolve(options.snapshot)
+      const root = this.snapshotRoot(options)
+      try {
+        snapshot = { file, resolutions: loadSnapshot(file, root, this.aliasConfigHash(root)), hits: 0 }
+      } catch (error) {
+        snapshotError = error.message
+        this.log('error', 'Snapshot rejected, resolving without it', { file, root, error: error.message })
+      }
+    }
+
+    this.frozen = { targets: Object.freeze(targets), conditions, snapshot, snapshotError }
+    this.resolutionCache.clear()
+
+    const data = { conditions, snapshot: snapshot && snapshot.file, snapshotEntries: snapshot ? snapshot.resolutions.size : 0, snapshotError }
+    this.log('info', 'Module alias manager frozen', data)
+    this.emit('frozen', data)
+  }
+
+  assertNotFrozen (action) {
+    if (!this.frozen) return
+
+    const error = new Error(`Cannot ${action}: the alias manager is frozen`)
+    error.code = 'ERR_ALIAS_FROZEN'
+    throw error
+  }
+
+  // Called by the require() hook: the filename the snapshot of a frozen
+  // manager has on record for a request, if any
+  getSnapshotResolution (request, parentFilename) {
+    const snapshot = this.frozen && this.frozen.snapshot
+    if (!snapshot) return undefined
+
+    const filename = snapshot.resolutions.get(resolutionKey(request, parentFilename))
+    if (filename) snapshot.hits++
+    return filename
+  }
+
+  // Directory the paths of a snapshot manifest are relative to
+  snapshotRoot (options) {
+    return nodePath.resolve(options.root || this.projectRoot || options.cwd || process.cwd())
+  }
+
+  // Resolve the aliased requires / imports of source files ahead of time;
+  // options.file writes the manifest for freeze({ snapshot })
+  snapshot (patterns, options = {}) {
+    const result = createSnapshot(this, patterns, Object.assign({}, options, { root: this.snapshotRoot(options) }))
+
+    if (options.file) {
+      result.file = nodePath.resolve(options.cwd || process.cwd(), options.file)
+      fs.mkdirSync(nodePath.dirname(result.file), { recursive: true })
+      fs.writeFileSync(result.file, JSON.stringify(result.manifest, null, 2))
+    }
+
+    this.log('info', 'Snapshot created', { file: result.file, files: result.files, resolutions: result.resolutions, unresolved: result.unresolved.length })
+    return result
+  }
+
+  // Boundary rules: files matching "from" globs (relative to options.base)
+  // may not import the "disallow" aliases
+  addRules (rules, options = {}) {
+    const base = options.base || process.cwd()
+    const compiled = [].concat(rules).map(rule => compileRule(rule, base, options.source))
+
+    this.rules = this.rules.concat(compiled)
+    this.log('debug', 'Boundary rules added', { count: compiled.length, source: options.source })
+    return compiled
+  }
+
+  // Replace the rules declared in a config file
+  setSourceRules (source, rules, base) {
+    this.rules = this.rules.filter(rule => rule.source !== source)
+    if (rules && rules.length) this.addRules(rules, { base, source })
+  }
+
+  // Mode of rules that do not set their own; 'off' disables all of them
+  setRulesMode (mode) {
+    if (RULE_MODES.indexOf(mode) === -1) {
+      throw new TypeError(`Rules mode must be one of ${RULE_MODES.join(', ')}`)
+    }
+    this.rulesMode = mode
+  }
+
+  // The rule a request through an alias from parentFilename breaks, or null
+  findBoundaryViolation (request, parentFilename) {
+    if (!this.rules.length || this.rulesMode === 'off' || !parentFilename) return null
+
+    const match = this.findAliasMatch(request, parentFilename)
+    if (!match) return null
+
+    const violation = findViolation(this.rules, request, parentFilename, this.rulesMode)
+    if (violation) violation.alias = String(match.alias)
+    return violation
+  }
+
+  // Called by the require() hook: report a violation, and throw it in
+  // 'error' mode
+  enforceBoundaries (request, parentModule) {
+    const violation = this.findBoundaryViolation(request, parentModule && parentModule.filename)
+    if (!violation) return
+
+    const key = `${violation.parent}\0${request}`
+    const recorded = this.boundaryViolations.get(key)
+    if (recorded) {
+      recorded.count++
+    } else {
+      this.boundaryViolations.set(key, Object.assign({ count: 1 }, violation))
+    }
+    this.emit('boundaryViolation', violation)
+
+    if (violation.mode === 'error') {
+      const error = new Error(`Boundary violation in ${violation.parent}: ${violation.message}`)
+      error.code = 'ERR_ALIAS_BOUNDARY'
+      error.violation = violation
+      throw error
+    }
+    this.log('warn', 'Boundary violation', { parent: violation.parent, request, message: violation.message })
+  }
+
+  // Violations seen at runtime, once per parent file and request
+  getBoundaryReport () {
+    const violations = Array.from(this.boundaryViolations.values()).map(violation => Object.assign({}, violation))
     return {
+      total: violations.reduce((total, violation) => total + violation.count, 0),
+      violations
+    }
+  }
+
+  // Check the aliased requires / imports of source files against the rules
+  checkBoundaries (patterns, options = {}) {
+    return checkBoundaries(this, patterns, options)
+  }
+
+  formatBoundaries (result, options = {}) {
+    return formatBoundaries(result, options)
+  }
+
+  // Record the module dependency graph as modules are required, and
+  // report circular dependencies through aliases when they close
+  enableGraph () {
+    if (!this.graph) this.graph = new DependencyGraph()
+    return this.graph
+  }
+
+  disableGraph () {
+    this.graph = null
+  }
+
+  // Called by the require() hook with the manager whose alias the request
+  // went through, if any. Modules inside node_modules are not followed.
+  recordDependency (request, parentModule, filename, aliasManager) {
+    const parent = parentModule && parentModule.filename
+    if (!parent || !nodePath.isAbsolute(filename) || parent.split(nodePath.sep).indexOf('node_modules') !== -1) return
+
+    const match = aliasManager && aliasManager.findAliasMatch(request, parent)
+    const cached = require.cache[filename]
+    const cycle = this.graph.addEdge(parent, filename, request, match ? String(match.alias) : null, Boolean(cached && !cached.loaded))
+    if (!cycle) return
+
+    const aliased = cycle.edges.some(edge => edge.alias) || cycle.files.some(file => this.graph.nodes.get(file).alias)
+    if (!aliased) return
+
+    const requests = cycle.edges.map(edge => edge.request)
+    this.log('warn', 'Circular dependency through aliased modules', { files: cycle.files, requests })
+    this.emit('circularDependency', {
+      files: cycle.files,
+      requests,
+      aliases: cycle.edges.map(edge => edge.alias).filter(Boolean)
+    })
+  }
+
+  // The recorded graph as { nodes, edges, cycles }, or null when not enabled
+  getDependencyGraph () {
+    return this.graph && this.graph.toJSON()
+  }
+
+  // The recorded graph in Graphviz DOT, one cluster per alias
+  toDot (options = {}) {
+    return (this.graph || new DependencyGraph()).toDot(options)
+  }
+
+  // Collect per-alias counters, latency histograms and top parent modules,
+  // emitted as a 'metrics' event every options.interval ms (0 for never)
+  enableMetrics (options = {}) {
+    this.disableMetrics()
+    this.metrics = new AliasMetrics(options)
+
+    const interval = options.interval === undefined ? 60000 : options.interval
+    if (interval > 0) {
+      this.metricsTimer = setInterval(() => this.emit('metrics', this.getStats({ detailed: true })), interval)
+      if (this.metricsTimer.unref) this.metricsTimer.unref()
+    }
+
+    this.log('debug', 'Metrics enabled', { interval })
+    return this.metrics
+  }
+
+  disableMetrics () {
+    clearInterval(this.metricsTimer)
+    this.metricsTimer = null
+    this.metrics = null
+  }
+
+  // Prometheus text format of getStats({ detailed: true })
+  toPrometheus (options = {}) {
+    return toPrometheus(this.getStats({ detailed: true }), options)
+  }
+
+  // Get performance statistics; options.detailed adds the collected metrics
+  getStats (options = {}) {
+    const stats = {
       ...this.stats,
-      cacheSize: this.performanceCache.size,
+      activeConditions: this.getActiveConditions(),
+      cacheSize: this.resolutionCache.size,
+      cacheMaxSize: this.resolutionCache.max,
+      cacheTtl: this.resolutionCache.ttl,
+      cacheMisses: this.resolutionCache.misses,
+      cacheHitRate: this.resolutionCache.hits + this.resolutionCache.misses
+        ? this.resolutionCache.hits / (this.resolutionCache.hits + this.resolutionCache.misses)
+        : 0,
+      cacheEvictions: this.resolutionCache.evictions,
+      persistentCache: this.persistentCache && {
+        file: this.persistentCache.file,
+        size: this.persistentCache.size,
+        hits: this.persistentCache.hits,
+        misses: this.persistentCache.misses,
+        stale: this.persistentCache.stale
+      },
+      frozen: this.frozen && {
+        conditions: this.frozen.conditions,
+        snapshotError: this.frozen.snapshotError,
+        snapshot: this.frozen.snapshot && {
+          file: this.frozen.snapshot.file,
+          size: this.frozen.snapshot.resolutions.size,
+          hits: this.frozen.snapshot.hits
+        }
+      },
       aliasCount: this.moduleAliasNames.length,
-      pathCount: this.modulePaths.length
+      pathCount: this.modulePaths.length,
+      scopeCount: this.scopes.size
     }
+
+    if (options.detailed) stats.metrics = this.metrics ? this.metrics.toJSON() : null
+    return stats
   }
 
   // Enable/disable debug mode
@@ -511,15 +2638,55 @@ module.exports = function init (options) {
 
 // Enhanced exports
 module.exports.addPath = (path) => manager.addPath(path)
-module.exports.addAlias = (alias, target) => manager.addAlias(alias, target)
-module.exports.addAliases = (aliases) => manager.addAliases(aliases)
+module.exports.addAlias = (alias, target, options) => manager.addAlias(alias, target, options)
+module.exports.addAliases = (aliases, options) => manager.addAliases(aliases, options)
+module.exports.override = (aliases, options) => manager.override(aliases, options)
+module.exports.withAliases = (aliases, fn, options) => manager.withAliases(aliases, fn, options)
+module.exports.removeAlias = (alias, options) => manager.removeAlias(alias, options)
+module.exports.removePath = (path) => manager.removePath(path)
+module.exports.reloadAliases = (packageJsonPath, scope) => manager.reloadAliases(packageJsonPath, scope)
+module.exports.reloadTsconfig = (tsconfigPath, options) => manager.reloadTsconfig(tsconfigPath, options)
+module.exports.addConfigFile = (configPath, options) => manager.addConfigFile(configPath, options)
+module.exports.reloadConfigFile = (configPath, options) => manager.reloadConfigFile(configPath, options)
+module.exports.addTsconfig = (tsconfigPath, options) => manager.addTsconfig(tsconfigPath, options)
 module.exports.isPathMatchesAlias = (path, alias) => manager.isPathMatchesAlias(path, alias)
 module.exports.reset = () => manager.reset()
+module.exports.dispose = () => manager.dispose()
 
 // New enhanced exports
 module.exports.resolveAsync = (request, parentModule) => manager.resolveAsync(request, parentModule)
-module.exports.getStats = () => manager.getStats()
+module.exports.addAsyncAlias = (alias, resolver, options) => manager.addAsyncAlias(alias, resolver, options)
+module.exports.preload = () => manager.preload()
+module.exports.getStats = (options) => manager.getStats(options)
+module.exports.toPrometheus = (options) => manager.toPrometheus(options)
+module.exports.diagnoseResolution = (request, parentModule) => manager.diagnoseResolution(request, parentModule)
+module.exports.explain = (request, options) => manager.explain(request, options)
+module.exports.savePersistentCache = () => manager.savePersistentCache()
+module.exports.formatExplanation = (trace, options) => manager.formatExplanation(trace, options)
+module.exports.registerEsm = () => manager.registerEsm()
 module.exports.setDebugMode = (enabled) => manager.setDebugMode(enabled)
+module.exports.setConditions = (conditions) => manager.setConditions(conditions)
+module.exports.toWebpack = (options) => manager.toWebpack(options)
+module.exports.toJestModuleNameMapper = (options) => manager.toJestModuleNameMapper(options)
+module.exports.toVite = (options) => manager.toVite(options)
+module.exports.toBabelModuleResolver = (options) => manager.toBabelModuleResolver(options)
+module.exports.toEslintImportResolver = (options) => manager.toEslintImportResolver(options)
+module.exports.toTsconfigPaths = (options) => manager.toTsconfigPaths(options)
+module.exports.codemod = (paths, options) => manager.codemod(paths, options)
+module.exports.analyze = (patterns, options) => manager.analyze(patterns, options)
+module.exports.formatAnalysis = (result, options) => manager.formatAnalysis(result, options)
+module.exports.addRules = (rules, options) => manager.addRules(rules, options)
+module.exports.getBoundaryReport = () => manager.getBoundaryReport()
+module.exports.getDependencyGraph = () => manager.getDependencyGraph()
+module.exports.toDot = (options) => manager.toDot(options)
+module.exports.freeze = (options) => manager.freeze(options)
+module.exports.snapshot = (patterns, options) => manager.snapshot(patterns, options)
+module.exports.serialize = () => manager.serialize()
+module.exports.hydrate = (state) => manager.hydrate(state)
+module.exports.workerOptions = (options) => manager.workerOptions(options)
+module.exports.resolverRef = resolverRef
+module.exports.checkBoundaries = (patterns, options) => manager.checkBoundaries(patterns, options)
+module.exports.formatBoundaries = (result, options) => manager.formatBoundaries(result, options)
 module.exports.on = (event, callback) => manager.on(event, callback)
 module.exports.off = (event, callback) => manager.off(event, callback)
 module.exports.manager = manager
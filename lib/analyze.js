@@ -0,0 +1,113 @@
+'use strict'
+
+const BuiltinModule = require('module')
+const nodePath = require('path')
+const fs = require('fs')
+const { findSpecifiers } = require('./source')
+const { collectFiles } = require('./files')
+
+function isBuiltin (specifier) {
+  if (typeof BuiltinModule.isBuiltin === 'function') return BuiltinModule.isBuiltin(specifier)
+  return BuiltinModule.builtinModules.indexOf(specifier.replace(/^node:/, '')) !== -1
+}
+
+// Node appends the require stack to resolution errors
+function firstLine (message) {
+  return message.split('\n')[0]
+}
+
+// Run a specifier through the alias table and Node resolution; a problem
+// description when it does not resolve, otherwise null
+function checkSpecifier (manager, specifier, parent) {
+  const match = manager.findAliasMatch(specifier, parent.filename)
+  const alias = match ? match.alias : null
+
+  let request
+  try {
+    request = manager.resolveAlias(specifier, parent)
+  } catch (error) {
+    return { alias, error: firstLine(error.message) }
+  }
+
+  try {
+    manager.oldResolveFilename.call(BuiltinModule, request, parent, false)
+    return null
+  } catch (error) {
+    return { alias, request, error: firstLine(error.message) }
+  }
+}
+
+/**
+ * Statically find the specifiers of the given files that do not resolve.
+ *
+ * @param {Object} manager - ModuleAliasManager
+ * @param {string|string[]} patterns - Files, directories or globs
+ * @param {{ cwd?: string }} [options]
+ * @returns {{ files: number, specifiers: number, unresolved: Object[], errors: Object[] }}
+ */
+function analyze (manager, patterns, options = {}) {
+  const cwd = options.cwd || process.cwd()
+  const files = collectFiles(patterns, { cwd })
+  const result = { files: files.length, specifiers: 0, unresolved: [], errors: [] }
+
+  for (const file of files) {
+    let specifiers
+    try {
+      specifiers = findSpecifiers(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      result.errors.push({ file, error: error.message })
+      continue
+    }
+
+    const parent = { id: file, filename: file, paths: BuiltinModule._nodeModulePaths(nodePath.dirname(file)) }
+
+    for (const specifier of specifiers) {
+      result.specifiers++
+      if (isBuiltin(specifier.value)) continue
+
+      const problem = checkSpecifier(manager, specifier.value, parent)
+      if (!problem) continue
+
+      result.unresolved.push({
+        file,
+        line: specifier.line,
+        column: specifier.column,
+        kind: specifier.kind,
+        specifier: specifier.value,
+        ...problem
+      })
+    }
+  }
+
+  return result
+}
+
+/**
+ * Render an analyze() result as JSON or as a file:line:column report.
+ *
+ * @param {Object} result
+ * @param {{ format?: 'text' | 'json', cwd?: string }} [options]
+ * @returns {string}
+ */
+function formatAnalysis (result, options = {}) {
+  if (options.format === 'json') return JSON.stringify(result, null, 2)
+
+  const cwd = options.cwd || process.cwd()
+  const lines = []
+
+  result.unresolved.forEach(entry => {
+    const location = `${nodePath.relative(cwd, entry.file)}:${entry.line}:${entry.column}`
+    const via = entry.alias ? ` (alias ${entry.alias}${entry.request ? ` -> ${entry.request}` : ''})` : ''
+    lines.push(`${location}  ${entry.specifier}${via}: ${entry.error}`)
+  })
+  result.errors.forEach(entry => {
+    lines.push(`${nodePath.relative(cwd, entry.file)}  parse error: ${entry.error}`)
+  })
+
+  lines.push(`${result.unresolved.length} unresolvable of ${result.specifiers} specifiers in ${result.files} files` +
+    (result.errors.length ? `, ${result.errors.length} files not parsed` : ''))
+
+  return lines.join('\n')
+}
+
+module.exports = { analyze, formatAnalysis, checkSpecifier }
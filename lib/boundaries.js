@@ -0,0 +1,170 @@
+'use strict'
+
+const nodePath = require('path')
+const fs = require('fs')
+const { escapeRegExp, globToRegExp } = require('./patterns')
+const { findSpecifiers } = require('./source')
+const { collectFiles } = require('./files')
+
+const MODES = ['warn', 'error', 'off']
+
+function toPosix (path) {
+  return path.split(nodePath.sep).join('/')
+}
+
+// "@db" covers "@db" and everything under it, "*" any text
+function specifierRegExp (pattern) {
+  const source = pattern.split('*').map(escapeRegExp).join('.*')
+  return new RegExp(`^${source}(?:/.*)?$`)
+}
+
+/**
+ * Compile a boundary rule of an alias config. "from" globs are relative to
+ * base (the directory of the config file).
+ *
+ * @param {{ from: string|string[], disallow: string[], allow?: string[], mode?: string, message?: string }} rule
+ * @param {string} base
+ * @param {string} [source] - File declaring the rule
+ */
+function compileRule (rule, base, source) {
+  if (!rule || typeof rule !== 'object') throw new TypeError('Boundary rule must be an object')
+
+  const from = [].concat(rule.from)
+  if (!from.length || !from.every(glob => typeof glob === 'string' && glob)) {
+    throw new TypeError('Boundary rule "from" must be a glob or an array of globs')
+  }
+  if (!Array.isArray(rule.disallow) || !rule.disallow.every(pattern => typeof pattern === 'string' && pattern)) {
+    throw new TypeError('Boundary rule "disallow" must be an array of alias patterns')
+  }
+  if (rule.mode !== undefined && MODES.indexOf(rule.mode) === -1) {
+    throw new TypeError(`Boundary rule mode must be one of ${MODES.join(', ')}`)
+  }
+
+  const allow = rule.allow || []
+  return {
+    from,
+    disallow: rule.disallow.slice(),
+    allow: allow.slice(),
+    mode: rule.mode,
+    message: rule.message,
+    base,
+    source,
+    fromRegExps: from.map(glob => globToRegExp(toPosix(nodePath.resolve(base, glob)))),
+    disallowRegExps: rule.disallow.map(specifierRegExp),
+    allowRegExps: allow.map(specifierRegExp)
+  }
+}
+
+/**
+ * The strictest rule a request from parentFilename breaks, or null: an
+ * "error" rule wins over a "warn" one, whatever their order; between rules
+ * of the same mode the first one wins. Rules in "off" mode, or without a
+ * mode while defaultMode is "off", are skipped.
+ *
+ * @param {Object[]} rules - Compiled rules
+ * @param {string} request
+ * @param {string} parentFilename
+ * @param {string} defaultMode
+ */
+function findViolation (rules, request, parentFilename, defaultMode) {
+  const parent = toPosix(parentFilename)
+  let violation = null
+
+  for (const rule of rules) {
+    const mode = rule.mode || defaultMode
+    if (mode === 'off' || (violation && mode !== 'error')) continue
+    if (!rule.fromRegExps.some(regexp => regexp.test(parent))) continue
+    if (rule.allowRegExps.some(regexp => regexp.test(request))) continue
+
+    const index = rule.disallowRegExps.findIndex(regexp => regexp.test(request))
+    if (index === -1) continue
+
+    const from = rule.from.join(', ')
+    violation = {
+      parent: parentFilename,
+      request,
+      pattern: rule.disallow[index],
+      mode,
+      message: rule.message || `'${request}' may not be imported from ${from} (rule disallows ${rule.disallow[index]})`,
+      rule: { from: rule.from, disallow: rule.disallow, allow: rule.allow, source: rule.source }
+    }
+    if (mode === 'error') break
+  }
+
+  return violation
+}
+
+/**
+ * Statically check the aliased specifiers of the given files against the
+ * boundary rules of a manager.
+ *
+ * @param {Object} manager - ModuleAliasManager
+ * @param {string|string[]} patterns - Files, directories or globs
+ * @param {{ cwd?: string }} [options]
+ * @returns {{ files: number, specifiers: number, violations: Object[], errors: Object[] }}
+ */
+function checkBoundaries (manager, patterns, options = {}) {
+  const files = collectFiles(patterns, { cwd: options.cwd || process.cwd() })
+  const result = { files: files.length, specifiers: 0, violations: [], errors: [] }
+
+  for (const file of files) {
+    let specifiers
+    try {
+      specifiers = findSpecifiers(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      result.errors.push({ file, error: error.message })
+      continue
+    }
+
+    for (const specifier of specifiers) {
+      result.specifiers++
+      const violation = manager.findBoundaryViolation(specifier.value, file)
+      if (!violation) continue
+
+      result.violations.push({
+        file,
+        line: specifier.line,
+        column: specifier.column,
+        kind: specifier.kind,
+        specifier: specifier.value,
+        alias: violation.alias,
+        pattern: violation.pattern,
+        mode: violation.mode,
+        message: violation.message,
+        rule: violation.rule
+      })
+    }
+  }
+
+  return result
+}
+
+/**
+ * Render a checkBoundaries() result as JSON or as a file:line:column report.
+ *
+ * @param {Object} result
+ * @param {{ format?: 'text' | 'json', cwd?: string }} [options]
+ * @returns {string}
+ */
+function formatBoundaries (result, options = {}) {
+  if (options.format === 'json') return JSON.stringify(result, null, 2)
+
+  const cwd = options.cwd || process.cwd()
+  const lines = []
+
+  result.violations.forEach(entry => {
+    const location = `${nodePath.relative(cwd, entry.file)}:${entry.line}:${entry.column}`
+    lines.push(`${location}  ${entry.mode}  ${entry.specifier}: ${entry.message}`)
+  })
+  result.errors.forEach(entry => {
+    lines.push(`${nodePath.relative(cwd, entry.file)}  parse error: ${entry.error}`)
+  })
+
+  const errors = result.violations.filter(entry => entry.mode === 'error').length
+  lines.push(`${result.violations.length} boundary violations (${errors} errors) in ${result.files} files` +
+    (result.errors.length ? `, ${result.errors.length} files not parsed` : ''))
+
+  return lines.join('\n')
+}
+
+module.exports = { MODES, compileRule, findViolation, checkBoundaries, formatBoundaries }
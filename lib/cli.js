@@ -0,0 +1,402 @@
+'use strict'
+
+const BuiltinModule = require('module')
+const nodePath = require('path')
+const fs = require('fs')
+
+const USAGE = `Usage: super-alias <command> [options]
+
+Commands:
+  list                        Aliases and module paths init() would load, with their source
+  resolve <specifier>         Show what a specifier resolves to
+  explain <specifier>         Trace every step of resolving a specifier
+  check                       Exit with 1 when targets are missing or aliases overlap
+  export <format>             Print the aliases as webpack, jest, vite, babel, eslint or tsconfig config
+  codemod <paths...>          Rewrite relative requires / imports into aliases
+  analyze <paths...>          Report requires / imports that do not resolve (exit 1 if any)
+  boundaries <paths...>       Report requires / imports that break boundary rules (exit 1 on errors)
+  snapshot <paths...>         Write the resolutions of aliased requires / imports for freeze()
+
+Options:
+  --base <dir>                Directory of the package.json (default: same lookup as init())
+  --tsconfig [file]           Also import tsconfig.json / jsconfig.json paths
+  --conditions <a,b>          Active alias conditions
+  --workspaces                Also load the aliases of every workspace package
+  --from <file>               File the specifier is resolved from (resolve, explain)
+  --reverse                   Rewrite aliases into relative paths instead (codemod)
+  --dry-run                   Print a diff instead of writing files (codemod)
+  --out <file>                Manifest to write (snapshot, default: alias-snapshot.json)
+  --scope <dir>               Export the aliases files under this package root see (export)
+  --json                      Print JSON (list, check, analyze, explain, boundaries)
+  -h, --help                  Show this help`
+
+const EXPORTERS = {
+  webpack: (manager, io, options) => manager.toWebpack(options),
+  jest: (manager, io, options) => manager.toJestModuleNameMapper(options),
+  vite: (manager, io, options) => printableVite(manager.toVite(options)),
+  babel: (manager, io, options) => manager.toBabelModuleResolver(options),
+  eslint: (manager, io, options) => manager.toEslintImportResolver(options),
+  tsconfig: (manager, io, options) => manager.toTsconfigPaths(Object.assign({ baseUrl: io.cwd }, options))
+}
+
+// RegExp finds are lost in JSON, so only toVite() in vite.config.js can use them
+function printableVite ({ config, unsupported }) {
+  const alias = config.alias.filter(entry => {
+    if (!(entry.find instanceof RegExp)) return true
+    unsupported.push({ alias: String(entry.find), reason: 'RegExp aliases cannot be printed as JSON, call toVite() in vite.config.js' })
+    return false
+  })
+
+  return { config: { alias }, unsupported }
+}
+
+const VALUE_OPTIONS = ['base', 'conditions', 'from', 'out', 'scope']
+
+function parseArgs (argv) {
+  const args = { _: [] }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (arg === '-h' || arg === '--help') {
+      args.help = true
+    } else if (arg.indexOf('--') === 0) {
+      let name = arg.slice(2)
+      let value = true
+
+      const equals = name.indexOf('=')
+      if (equals !== -1) {
+        value = name.slice(equals + 1)
+        name = name.slice(0, equals)
+      } else if (VALUE_OPTIONS.indexOf(name) !== -1 || (name === 'tsconfig' && argv[i + 1] && argv[i + 1][0] !== '-')) {
+        value = argv[++i]
+        if (value === undefined) throw new Error(`Option --${name} requires a value`)
+      }
+
+      args[name] = value
+    } else {
+      args._.push(arg)
+    }
+  }
+
+  return args
+}
+
+function formatTarget (target) {
+  if (typeof target === 'function') return '[function]'
+  if (Array.isArray(target)) return target.map(formatTarget).join(' | ')
+  if (target && typeof target === 'object') {
+    return `{ ${Object.keys(target).map(condition => `${condition}: ${formatTarget(target[condition])}`).join(', ')} }`
+  }
+  return target
+}
+
+function displayPath (file, cwd) {
+  const relative = nodePath.relative(cwd, file)
+  return relative && relative.indexOf('..') !== 0 ? relative : file
+}
+
+// The global alias table followed by the package scopes
+function aliasTables (manager) {
+  return [manager].concat(Array.from(manager.scopes.values()))
+}
+
+// Static leaf targets of every branch: arrays are one requirement (any
+// candidate will do), each condition branch is checked on its own
+function targetRequirements (target) {
+  if (typeof target === 'function') return []
+  if (Array.isArray(target)) {
+    const candidates = [].concat(...target.map(targetRequirements))
+    return candidates.length ? [[].concat(...candidates)] : []
+  }
+  if (target && typeof target === 'object') {
+    return [].concat(...Object.keys(target).map(condition => targetRequirements(target[condition])))
+  }
+  return [[target]]
+}
+
+function targetExists (manager, target, parent) {
+  // Wildcard and $n targets: the directory before the first placeholder
+  const placeholder = target.search(/\*|\$\d/)
+  if (placeholder !== -1) {
+    const dir = target.slice(0, placeholder)
+    return fs.existsSync(/[\\/]$/.test(dir) ? dir : nodePath.dirname(dir))
+  }
+
+  if (nodePath.isAbsolute(target) && fs.existsSync(target)) return true
+  return manager.canResolve(target, parent) || manager.canResolve(`${target}/package.json`, parent)
+}
+
+function findMissingTargets (manager, parent) {
+  const problems = []
+
+  aliasTables(manager).forEach(table => {
+    table.moduleAliasNames.forEach(alias => {
+      targetRequirements(table.moduleAliases[alias]).forEach(candidates => {
+        if (candidates.some(target => targetExists(manager, target, parent))) return
+
+        problems.push({
+          type: 'missing',
+          alias,
+          scope: table.root || null,
+          targets: candidates,
+          message: `${alias}: target ${candidates.join(' | ')} does not exist`
+        })
+      })
+    })
+  })
+
+  return problems
+}
+
+// A literal alias that another alias of the same table also matches, but
+// maps elsewhere
+function findOverlaps (manager) {
+  const problems = []
+
+  aliasTables(manager).forEach(table => {
+    const scope = table.root || null
+    const literals = table.moduleAliasNames.filter(alias => !table.aliasPatterns[alias])
+
+    literals.forEach(alias => {
+      table.moduleAliasNames.forEach(other => {
+        if (other === alias) return
+
+        const match = manager.matchAlias(alias, other, table)
+        if (!match) return
+        match.scope = scope
+
+        const ownTargets = manager.staticTargets(table.moduleAliases[alias])
+        const otherTargets = manager.staticTargets(table.moduleAliases[other])
+        if (!ownTargets || !ownTargets.length || !otherTargets || !otherTargets.length) return
+
+        const through = nodePath.join(manager.substituteCaptures(otherTargets[0], match), alias.substr(match.matched.length))
+        if (nodePath.normalize(ownTargets[0]) === through) return
+
+        problems.push({
+          type: 'overlap',
+          alias,
+          overlaps: other,
+          scope,
+          message: `${alias} overlaps ${other}: ${other} maps it to ${through}, ${alias} to ${ownTargets[0]}`
+        })
+      })
+    })
+  })
+
+  return problems
+}
+
+function list (manager, args, io) {
+  const aliases = [].concat(...aliasTables(manager).map(table => table.moduleAliasNames.map(alias => ({
+    alias,
+    target: table.moduleAliases[alias],
+    scope: table.root || null,
+    source: table.aliasSources[alias] || null
+  }))))
+  const paths = manager.modulePaths.map(path => ({ path, source: manager.pathSources[path] || null }))
+
+  if (args.json) {
+    io.stdout(JSON.stringify({ aliases, paths }, (key, value) => typeof value === 'function' ? '[function]' : value, 2))
+    return 0
+  }
+
+  const source = (file) => file ? `  (${displayPath(file, io.cwd)})` : ''
+
+  io.stdout('Aliases:')
+  if (!aliases.length) io.stdout('  (none)')
+  aliases.forEach(entry => {
+    const scope = entry.scope ? `  [${displayPath(entry.scope, io.cwd)}]` : ''
+    io.stdout(`  ${entry.alias} -> ${formatTarget(entry.target)}${scope}${source(entry.source)}`)
+  })
+
+  io.stdout('Module paths:')
+  if (!paths.length) io.stdout('  (none)')
+  paths.forEach(entry => io.stdout(`  ${entry.path}${source(entry.source)}`))
+
+  return 0
+}
+
+function resolve (manager, args, io, parent) {
+  const specifier = args._[1]
+  if (!specifier) throw new Error('Missing <specifier>')
+
+  let resolution = null
+  const onResolved = (data) => { resolution = data }
+  manager.on('aliasResolved', onResolved)
+
+  let request, file
+  try {
+    request = manager.resolveAlias(specifier, parent)
+    file = manager.oldResolveFilename.call(BuiltinModule, request, parent, false)
+  } finally {
+    manager.off('aliasResolved', onResolved)
+  }
+
+  if (resolution) {
+    const source = manager.getAliasTable(resolution.scope).aliasSources[resolution.alias]
+    io.stdout(`alias:     ${resolution.alias}${source ? `  (${displayPath(source, io.cwd)})` : ''}`)
+    if (resolution.scope) io.stdout(`scope:     ${resolution.scope}`)
+    if (resolution.condition) io.stdout(`condition: ${resolution.condition}`)
+    io.stdout(`target:    ${resolution.resolved}`)
+  } else {
+    io.stdout('alias:     (none)')
+  }
+  io.stdout(`file:      ${file}`)
+
+  return 0
+}
+
+function explain (manager, args, io, parent) {
+  const specifier = args._[1]
+  if (!specifier) throw new Error('Missing <specifier>')
+
+  const trace = manager.explain(specifier, { from: parent.filename })
+  io.stdout(args.json ? JSON.stringify(trace, null, 2) : manager.formatExplanation(trace, { color: io.color }))
+
+  return trace.filename ? 0 : 1
+}
+
+function check (manager, args, io, parent) {
+  const problems = findMissingTargets(manager, parent).concat(findOverlaps(manager))
+
+  if (args.json) {
+    io.stdout(JSON.stringify(problems, null, 2))
+  } else if (problems.length) {
+    problems.forEach(problem => io.stderr(problem.message))
+  } else {
+    const count = aliasTables(manager).reduce((sum, table) => sum + table.moduleAliasNames.length, 0)
+    io.stdout(`${count} aliases OK`)
+  }
+
+  return problems.length ? 1 : 0
+}
+
+function exportConfig (manager, args, io) {
+  const format = args._[1]
+  const exporter = EXPORTERS[format]
+  if (!exporter) {
+    throw new Error(`Unknown export format '${format}', expected one of: ${Object.keys(EXPORTERS).join(', ')}`)
+  }
+
+  const scope = args.scope && nodePath.resolve(io.cwd, args.scope)
+  const { config, unsupported } = exporter(manager, io, { scope })
+
+  unsupported.forEach(entry => io.stderr(`warning: ${entry.alias || entry.path}: ${entry.reason}`))
+  io.stdout(JSON.stringify(config, null, 2))
+
+  return 0
+}
+
+function codemod (manager, args, io) {
+  const paths = args._.slice(1)
+  if (!paths.length) throw new Error('Missing <paths...>')
+
+  const results = manager.codemod(paths, { reverse: Boolean(args.reverse), dryRun: Boolean(args['dry-run']), cwd: io.cwd })
+  let failed = false
+
+  results.forEach(result => {
+    if (result.error) {
+      failed = true
+      io.stderr(`${displayPath(result.file, io.cwd)}: ${result.error}`)
+    } else if (result.diff) {
+      io.stdout(result.diff.replace(/\n$/, ''))
+    } else {
+      io.stdout(`${displayPath(result.file, io.cwd)}: ${result.changes.length} specifier(s) rewritten`)
+    }
+  })
+
+  if (!results.length) io.stdout('Nothing to rewrite')
+  return failed ? 1 : 0
+}
+
+function analyze (manager, args, io) {
+  const patterns = args._.slice(1)
+  if (!patterns.length) throw new Error('Missing <paths...>')
+
+  const result = manager.analyze(patterns, { cwd: io.cwd })
+  io.stdout(manager.formatAnalysis(result, { format: args.json ? 'json' : 'text', cwd: io.cwd }))
+
+  return result.unresolved.length || result.errors.length ? 1 : 0
+}
+
+function boundaries (manager, args, io) {
+  const patterns = args._.slice(1)
+  if (!patterns.length) throw new Error('Missing <paths...>')
+
+  const result = manager.checkBoundaries(patterns, { cwd: io.cwd })
+  io.stdout(manager.formatBoundaries(result, { format: args.json ? 'json' : 'text', cwd: io.cwd }))
+
+  return result.violations.some(violation => violation.mode === 'error') ? 1 : 0
+}
+
+function snapshot (manager, args, io) {
+  const patterns = args._.slice(1)
+  if (!patterns.length) throw new Error('Missing <paths...>')
+
+  const file = typeof args.out === 'string' ? args.out : 'alias-snapshot.json'
+  const result = manager.snapshot(patterns, { cwd: io.cwd, file })
+
+  result.unresolved.forEach(entry => {
+    io.stderr(`warning: ${displayPath(entry.file, io.cwd)}:${entry.line}:${entry.column}  ${entry.specifier}: ${entry.error}`)
+  })
+  result.errors.forEach(entry => io.stderr(`warning: ${displayPath(entry.file, io.cwd)}  parse error: ${entry.error}`))
+  io.stdout(`${result.resolutions} resolutions of ${result.files} files written to ${displayPath(result.file, io.cwd)}`)
+
+  return 0
+}
+
+const COMMANDS = { list, resolve, explain, check, export: exportConfig, codemod, analyze, boundaries, snapshot }
+
+/**
+ * Run the super-alias command line and return its exit code.
+ *
+ * @param {string[]} argv - Arguments without the node binary and script
+ * @param {Object} [io] - { stdout(line), stderr(line), cwd, color } overrides
+ * @returns {number}
+ */
+function run (argv, io = {}) {
+  io = {
+    stdout: line => process.stdout.write(`${line}\n`),
+    stderr: line => process.stderr.write(`${line}\n`),
+    cwd: process.cwd(),
+    ...io
+  }
+
+  let args
+  try {
+    args = parseArgs(argv)
+  } catch (error) {
+    io.stderr(error.message)
+    return 2
+  }
+
+  const command = COMMANDS[args._[0]]
+  if (args.help || !command) {
+    if (!args.help && args._[0]) io.stderr(`Unknown command '${args._[0]}'\n`)
+    io[args.help ? 'stdout' : 'stderr'](USAGE)
+    return args.help ? 0 : 2
+  }
+
+  const { manager } = require('..')
+
+  try {
+    manager.init({
+      base: args.base && nodePath.resolve(io.cwd, args.base),
+      hotReload: false,
+      workspaces: Boolean(args.workspaces),
+      tsconfig: args.tsconfig,
+      conditions: typeof args.conditions === 'string' ? args.conditions.split(',').filter(Boolean) : undefined
+    })
+
+    const filename = nodePath.resolve(io.cwd, typeof args.from === 'string' ? args.from : 'index.js')
+    const parent = { id: filename, filename, paths: BuiltinModule._nodeModulePaths(nodePath.dirname(filename)) }
+
+    return command(manager, args, io, parent)
+  } catch (error) {
+    io.stderr(`super-alias: ${error.message}`)
+    return 1
+  }
+}
+
+module.exports = { run, parseArgs, findMissingTargets, findOverlaps }
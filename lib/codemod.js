@@ -0,0 +1,176 @@
+'use strict'
+
+const BuiltinModule = require('module')
+const nodePath = require('path')
+const fs = require('fs')
+const { findSpecifiers } = require('./source')
+const { collectFiles } = require('./files')
+
+function toPosix (path) {
+  return path.split(nodePath.sep).join('/')
+}
+
+function isRelative (specifier) {
+  return specifier === '.' || specifier === '..' || /^\.\.?\//.test(specifier)
+}
+
+function resolveFile (manager, path) {
+  try {
+    return manager.oldResolveFilename.call(BuiltinModule, path, null, false)
+  } catch (e) {
+    return null
+  }
+}
+
+// Aliases of file that can be rewritten statically: a prefix alias with one
+// absolute path, from the package scope of the file or the global table
+function plainAliases (manager, file) {
+  const scope = manager.findScope(file)
+  const tables = scope ? [manager.getAliasTable(scope), manager] : [manager]
+
+  return [].concat(...tables.map(table => table.moduleAliasNames
+    .filter(alias => !table.aliasPatterns[alias])
+    .map(alias => ({ alias, scope: table === manager ? null : table.root, target: table.moduleAliases[alias] }))))
+    .filter(entry => typeof entry.target === 'string' && nodePath.isAbsolute(entry.target))
+}
+
+// '../../utils/x' -> '@utils/x', using the alias giving the shortest specifier
+function toAliasSpecifier (manager, specifier, file) {
+  if (!isRelative(specifier)) return null
+
+  const absolute = nodePath.resolve(nodePath.dirname(file), specifier)
+  let resolvedFile
+
+  const candidates = plainAliases(manager, file).map(({ alias, scope, target }) => {
+    let rest
+    if (absolute === target) {
+      rest = ''
+    } else if (absolute.indexOf(target + nodePath.sep) === 0) {
+      rest = toPosix(absolute.slice(target.length))
+    } else {
+      // File targets, e.g. "@config" -> "src/config/index.js" imported as "../config"
+      if (resolvedFile === undefined) resolvedFile = resolveFile(manager, absolute)
+      if (!resolvedFile || resolvedFile !== resolveFile(manager, target)) return null
+      rest = ''
+    }
+
+    const aliased = alias + rest
+    // A more specific or scoped alias would take over the new specifier
+    const match = manager.findAliasMatch(aliased, file)
+    return match && match.alias === alias && match.scope === scope ? aliased : null
+  }).filter(Boolean)
+
+  if (!candidates.length) return null
+  return candidates.reduce((shortest, candidate) => candidate.length < shortest.length ? candidate : shortest)
+}
+
+// '@utils/x' -> '../../utils/x'
+function toRelativeSpecifier (manager, specifier, file) {
+  const match = manager.findAliasMatch(specifier, file)
+  const table = match && manager.getAliasTable(match.scope)
+  if (!match || table.aliasPatterns[match.alias]) return null
+
+  const target = table.moduleAliases[match.alias]
+  if (typeof target !== 'string' || !nodePath.isAbsolute(target)) return null
+
+  const absolute = nodePath.join(target, specifier.substr(match.matched.length))
+  const relative = toPosix(nodePath.relative(nodePath.dirname(file), absolute)) || '.'
+  return isRelative(relative) ? relative : `./${relative}`
+}
+
+/**
+ * Rewrite the module specifiers of a source text. Only the characters
+ * between the quotes change, so formatting is kept.
+ *
+ * @param {string} source
+ * @param {(specifier: string) => string | null} mapSpecifier
+ * @returns {{ code: string, changes: Array<{ line: number, column: number, from: string, to: string }> }}
+ */
+function rewriteSource (source, mapSpecifier) {
+  const changes = []
+  let code = ''
+  let last = 0
+
+  for (const specifier of findSpecifiers(source)) {
+    const replacement = mapSpecifier(specifier.value)
+    if (!replacement || replacement === specifier.value) continue
+
+    code += source.slice(last, specifier.start + 1) + replacement
+    last = specifier.end - 1
+    changes.push({ line: specifier.line, column: specifier.column, from: specifier.value, to: replacement })
+  }
+
+  return { code: code + source.slice(last), changes }
+}
+
+// Line-level unified diff; rewrites never add or remove lines
+function unifiedDiff (file, before, after) {
+  const oldLines = before.split('\n')
+  const newLines = after.split('\n')
+  const name = toPosix(file)
+  let diff = `--- a/${name}\n+++ b/${name}\n`
+
+  for (let i = 0; i < oldLines.length; i++) {
+    if (oldLines[i] === newLines[i]) continue
+
+    let end = i
+    while (end + 1 < oldLines.length && oldLines[end + 1] !== newLines[end + 1]) end++
+
+    const count = end - i + 1
+    diff += `@@ -${i + 1},${count} +${i + 1},${count} @@\n`
+    for (let j = i; j <= end; j++) diff += `-${oldLines[j]}\n`
+    for (let j = i; j <= end; j++) diff += `+${newLines[j]}\n`
+    i = end
+  }
+
+  return diff
+}
+
+/**
+ * Rewrite relative specifiers into aliases, or aliases back into relative
+ * specifiers (options.reverse), in the given files and directories.
+ *
+ * @param {Object} manager - ModuleAliasManager
+ * @param {string|string[]} paths - Files, directories or globs
+ * @param {{ reverse?: boolean, dryRun?: boolean, cwd?: string }} [options]
+ * @returns {Array<{ file: string, changes: Object[], diff?: string, error?: string }>}
+ */
+function codemod (manager, paths, options = {}) {
+  const cwd = options.cwd || process.cwd()
+  const files = collectFiles(paths, { cwd })
+  const results = []
+
+  for (const file of files) {
+    const source = fs.readFileSync(file, 'utf8')
+    const mapSpecifier = options.reverse
+      ? specifier => toRelativeSpecifier(manager, specifier, file)
+      : specifier => toAliasSpecifier(manager, specifier, file)
+
+    let rewritten
+    try {
+      rewritten = rewriteSource(source, mapSpecifier)
+    } catch (error) {
+      results.push({ file, changes: [], error: error.message })
+      continue
+    }
+    if (!rewritten.changes.length) continue
+
+    const result = { file, changes: rewritten.changes }
+    if (options.dryRun) {
+      result.diff = unifiedDiff(nodePath.relative(cwd, file), source, rewritten.code)
+    } else {
+      fs.writeFileSync(file, rewritten.code)
+    }
+    results.push(result)
+  }
+
+  return results
+}
+
+module.exports = {
+  codemod,
+  rewriteSource,
+  toAliasSpecifier,
+  toRelativeSpecifier,
+  unifiedDiff
+}
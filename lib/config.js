@@ -0,0 +1,86 @@
+'use strict'
+
+const nodePath = require('path')
+const fs = require('fs')
+const { readJsonc } = require('./tsconfig')
+
+// Looked up next to package.json, in this order
+const CONFIG_FILES = ['.superaliasrc.json', 'superalias.config.js', 'superalias.config.cjs']
+
+const TARGET_MESSAGE = 'must be a non-empty string, function, array of targets or conditions object'
+
+let validate = null
+
+// Compiled on first use, ajv is only needed when there is a config to check
+function getValidator () {
+  if (!validate) {
+    const Ajv = require('ajv')
+    const ajv = new Ajv()
+    require('ajv-keywords')(ajv, ['typeof'])
+    validate = ajv.compile(require('../schema.json'))
+  }
+  return validate
+}
+
+function findConfigFile (dir) {
+  const candidates = CONFIG_FILES.map(name => nodePath.join(dir, name))
+  return candidates.find(candidate => fs.existsSync(candidate)) || null
+}
+
+// Turn ajv's errors into one line that names the offending key. anyOf reports
+// every branch, so only the most deeply nested path is kept.
+function formatErrors (errors) {
+  const deepest = errors.reduce((longest, error) => error.dataPath.length > longest.length ? error.dataPath : longest, '')
+  const atPath = errors.filter(error => error.dataPath === deepest)
+  const key = deepest.replace(/^\./, '')
+
+  const unknown = atPath.find(error => error.keyword === 'additionalProperties')
+  if (unknown) return `${key ? `${key}: ` : ''}unknown key "${unknown.params.additionalProperty}"`
+
+  const name = atPath.find(error => error.keyword === 'propertyNames')
+  if (name) return `${key}: invalid alias "${name.params.propertyName}"`
+
+  const message = atPath.some(error => error.keyword === 'anyOf') ? TARGET_MESSAGE : atPath[0].message
+  return `${key || 'config'}: ${message}`
+}
+
+/**
+ * Check a config object against schema.json.
+ *
+ * @param {*} config
+ * @param {string} source - File (and key) named in the error
+ * @throws {TypeError} Pointing to the offending key
+ */
+function validateConfig (config, source) {
+  const valid = getValidator()(config)
+  if (valid) return config
+
+  const error = new TypeError(`Invalid alias config in ${source}: ${formatErrors(validate.errors)}`)
+  error.errors = validate.errors
+  throw error
+}
+
+/**
+ * Read and validate a .superaliasrc.json (comments allowed) or a
+ * superalias.config.js / .cjs.
+ *
+ * @param {string} file
+ * @returns {{ aliases?: Object, moduleDirectories?: string[] }}
+ */
+function loadConfigFile (file) {
+  file = nodePath.resolve(file)
+  let config
+
+  if (/\.json$/.test(file)) {
+    config = readJsonc(file)
+  } else {
+    delete require.cache[file]
+    config = require(file)
+    // ES module configs and transpiled export default
+    if (config && config.default && !config.aliases) config = config.default
+  }
+
+  return validateConfig(config, file)
+}
+
+module.exports = { CONFIG_FILES, findConfigFile, loadConfigFile, validateConfig }
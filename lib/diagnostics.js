@@ -0,0 +1,143 @@
+'use strict'
+
+const nodePath = require('path')
+const fs = require('fs')
+
+// Levenshtein distance
+function editDistance (a, b) {
+  let previous = []
+  for (let j = 0; j <= b.length; j++) previous.push(j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost))
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+// Candidates close enough to be a typo of name, closest first
+function nearestNames (name, candidates, limit = 3) {
+  const max = Math.max(1, Math.floor(name.length / 3))
+
+  return candidates
+    .map(candidate => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter(entry => entry.distance > 0 && entry.distance <= max)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(entry => entry.candidate)
+}
+
+// Names in the directory of a missing path that are close to it, without
+// the extensions Node tries on its own
+function closestFiles (path, extensions) {
+  let entries
+  try {
+    entries = fs.readdirSync(nodePath.dirname(path))
+  } catch (error) {
+    return []
+  }
+
+  const strip = (name) => {
+    const extension = nodePath.extname(name)
+    return extension && extensions.indexOf(extension) !== -1 ? name.slice(0, -extension.length) : name
+  }
+  const names = entries.map(strip).filter((name, index, all) => all.indexOf(name) === index)
+
+  return nearestNames(strip(nodePath.basename(path)), names)
+}
+
+// Lines added below "Cannot find module ..."
+function formatDiagnostics (diagnostics) {
+  const lines = []
+
+  if (diagnostics.alias) {
+    const scope = diagnostics.scope ? ` (scope ${diagnostics.scope})` : ''
+    lines.push(`Alias '${diagnostics.alias}'${scope} resolved '${diagnostics.request}' to ${diagnostics.resolved}`)
+    if (diagnostics.targetExists === false) {
+      lines.push(`Alias target ${diagnostics.target} does not exist`)
+    }
+  } else if (diagnostics.nearestAliases.length) {
+    lines.push(`No alias matched; nearest aliases: ${diagnostics.nearestAliases.join(', ')}`)
+  }
+
+  if (diagnostics.suggestions.length) {
+    lines.push(`Did you mean ${diagnostics.suggestions.map(suggestion => `'${suggestion}'`).join(', ')}?`)
+  }
+
+  return lines
+}
+
+/**
+ * Add the alias diagnostics to a MODULE_NOT_FOUND error: as
+ * error.aliasDiagnostics, and in the message right after its first line.
+ *
+ * @param {Error} error
+ * @param {Object} diagnostics
+ * @returns {Error}
+ */
+function annotateError (error, diagnostics) {
+  const lines = formatDiagnostics(diagnostics)
+  error.aliasDiagnostics = diagnostics
+  if (!lines.length) return error
+
+  const message = error.message
+  const parts = message.split('\n')
+  error.message = [parts[0]].concat(lines, parts.slice(1)).join('\n')
+  if (typeof error.stack === 'string') error.stack = error.stack.replace(message, error.message)
+
+  return error
+}
+
+const ANNOTATED = ['message', 'stack', 'aliasDiagnostics']
+
+/**
+ * annotateError() on first access to error.message, error.stack or
+ * error.aliasDiagnostics, so errors nobody looks at cost nothing.
+ *
+ * @param {Error} error
+ * @param {() => Object|null} diagnose - Diagnostics, or null to leave the error as is
+ * @returns {Error}
+ */
+function annotateErrorLazily (error, diagnose) {
+  const descriptors = ANNOTATED.map(key => Object.getOwnPropertyDescriptor(error, key))
+  let annotated = false
+
+  const annotate = () => {
+    if (annotated) return
+    annotated = true
+
+    ANNOTATED.forEach((key, index) => {
+      if (descriptors[index]) {
+        Object.defineProperty(error, key, descriptors[index])
+      } else {
+        delete error[key]
+      }
+    })
+    const diagnostics = diagnose()
+    if (diagnostics) annotateError(error, diagnostics)
+  }
+
+  ANNOTATED.forEach(key => {
+    Object.defineProperty(error, key, {
+      configurable: true,
+      enumerable: key === 'aliasDiagnostics',
+      get () {
+        annotate()
+        return error[key]
+      },
+      set (value) {
+        annotate()
+        error[key] = value
+      }
+    })
+  })
+
+  return error
+}
+
+module.exports = { editDistance, nearestNames, closestFiles, formatDiagnostics, annotateError, annotateErrorLazily }
@@ -0,0 +1,144 @@
+// ESM loader hooks registered by ModuleAliasManager#registerEsm().
+// They run on the loader thread with a manager that mirrors the alias table
+// of the main thread; function resolvers stay on the main thread and are
+// reached through the message port.
+import { createRequire } from 'module'
+import { fileURLToPath, pathToFileURL } from 'url'
+import nodePath from 'path'
+
+const require = createRequire(import.meta.url)
+const { manager } = require('../index.js')
+
+// Errors for which CommonJS-style resolution (extensions, index files) is tried
+const FALLBACK_CODES = new Set(['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'])
+
+let port
+let version
+let applied = 0
+let stateWaiters = []
+let nextId = 0
+let waiting = 0
+const pending = new Map()
+const remoteAliases = new Set()
+
+function remoteResolver () {
+  throw new Error('Function resolvers are called on the main thread')
+}
+
+function remoteKey (scope, alias) {
+  return `${scope || ''}\0${alias}`
+}
+
+function applyTable (table, scope) {
+  for (const alias in table.aliases) {
+    const target = table.aliases[alias]
+    const regexp = table.regexps[alias]
+    const key = regexp ? new RegExp(regexp.source, regexp.flags) : alias
+
+    if (target === null) {
+      remoteAliases.add(remoteKey(scope, alias))
+      manager.addAlias(key, remoteResolver, { scope })
+    } else {
+      manager.addAlias(key, target, { scope })
+    }
+  }
+}
+
+function applyState (state) {
+  manager.reset()
+  manager.debugMode = state.debug
+  manager.conditions = state.conditions
+  remoteAliases.clear()
+
+  applyTable(state)
+  state.scopes.forEach(table => applyTable(table, table.root))
+}
+
+function onMessage (message) {
+  if (message.type === 'state') {
+    applyState(message.state)
+    applied = message.version
+
+    const waiters = stateWaiters
+    stateWaiters = []
+    waiters.forEach(resolve => resolve())
+  } else if (message.type === 'resolved') {
+    const request = pending.get(message.id)
+    if (!request) return
+
+    pending.delete(message.id)
+    if (message.error) {
+      request.reject(new Error(message.error))
+    } else {
+      request.resolve(message.result)
+    }
+  }
+}
+
+// Keep the port referenced while a hook waits on the main thread, otherwise
+// the loader thread can go idle before the answer arrives
+function waitForMainThread (executor) {
+  if (waiting++ === 0) port.ref()
+
+  return new Promise(executor).finally(() => {
+    if (--waiting === 0) port.unref()
+  })
+}
+
+// Wait until every alias change made on the main thread has arrived
+function syncState () {
+  if (applied >= Atomics.load(version, 0)) return
+  return waitForMainThread(resolve => stateWaiters.push(resolve)).then(syncState)
+}
+
+function resolveOnMainThread (request, parentPath) {
+  const id = ++nextId
+  return waitForMainThread((resolve, reject) => {
+    pending.set(id, { resolve, reject })
+    port.postMessage({ type: 'resolve', id, request, parentPath })
+  })
+}
+
+function toPath (url) {
+  return url && url.startsWith('file:') ? fileURLToPath(url) : undefined
+}
+
+export async function initialize (data) {
+  port = data.port
+  version = data.version
+  applyState(data.state)
+
+  port.on('message', onMessage)
+  port.unref()
+}
+
+export async function resolve (specifier, context, nextResolve) {
+  await syncState()
+
+  const parentPath = toPath(context.parentURL)
+  const match = manager.findAliasMatch(specifier, parentPath)
+  if (match === null) return nextResolve(specifier, context)
+
+  const request = remoteAliases.has(remoteKey(match.scope, match.alias))
+    ? await resolveOnMainThread(specifier, parentPath)
+    : manager.resolveAlias(specifier, parentPath ? { filename: parentPath } : undefined)
+
+  const target = nodePath.isAbsolute(request) ? pathToFileURL(request).href : request
+
+  try {
+    return await nextResolve(target, context)
+  } catch (error) {
+    if (!FALLBACK_CODES.has(error.code)) throw error
+
+    // Aliases usually point at extensionless files or directories, which
+    // ESM resolution rejects; resolve those the way require() would
+    let filename
+    try {
+      filename = createRequire(parentPath || nodePath.join(process.cwd(), 'index.js')).resolve(request)
+    } catch (_) {
+      throw error
+    }
+
+    return { url: pathToFileURL(filename).href, shortCircuit: true }
+  }
+}
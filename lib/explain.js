@@ -0,0 +1,156 @@
+'use strict'
+
+const BuiltinModule = require('module')
+const nodePath = require('path')
+const fs = require('fs')
+
+const PLAIN = ['bold', 'dim', 'green', 'red', 'yellow', 'cyan'].reduce((styles, name) => {
+  styles[name] = text => String(text)
+  return styles
+}, {})
+
+// chalk 5 is ESM-only; without require(esm) support the trace is printed plain
+function loadChalk () {
+  try {
+    return require('chalk')
+  } catch (error) {
+    return null
+  }
+}
+
+function getStyles (color) {
+  if (color === false) return PLAIN
+
+  const chalk = loadChalk()
+  if (!chalk) return PLAIN
+  if (color === true) return new chalk.Chalk({ level: Math.max(chalk.default.level, 1) })
+  return chalk.default
+}
+
+function isFile (path) {
+  try {
+    return fs.statSync(path).isFile()
+  } catch (error) {
+    return false
+  }
+}
+
+function packageMain (dir) {
+  try {
+    return JSON.parse(fs.readFileSync(nodePath.join(dir, 'package.json'), 'utf8')).main || null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * The files Node tries for a request, in order, until one exists: the path
+ * itself, with each extension, the package.json "main" of a directory, then
+ * its index files. Package "exports" are left to Node.
+ *
+ * @param {string} request - Request after alias substitution
+ * @param {{ filename: string, paths: string[] }} parent
+ * @param {string[]} [extensions]
+ * @returns {Array<{ path: string, kind: 'file' | 'extension' | 'main' | 'index' | 'lookup', exists: boolean }>}
+ */
+function traceCandidates (request, parent, extensions = Object.keys(BuiltinModule._extensions)) {
+  const candidates = []
+  if (BuiltinModule.builtinModules.indexOf(request.replace(/^node:/, '')) !== -1) return candidates
+
+  const check = (path, kind) => {
+    const exists = isFile(path)
+    candidates.push({ path, kind, exists })
+    return exists
+  }
+
+  const tryPath = (base) => {
+    if (check(base, 'file')) return true
+    if (extensions.some(extension => check(base + extension, 'extension'))) return true
+
+    const main = packageMain(base)
+    if (main) {
+      const mainPath = nodePath.resolve(base, main)
+      if (check(mainPath, 'main')) return true
+      if (extensions.some(extension => check(mainPath + extension, 'main'))) return true
+      if (extensions.some(extension => check(nodePath.join(mainPath, `index${extension}`), 'main'))) return true
+    }
+
+    return extensions.some(extension => check(nodePath.join(base, `index${extension}`), 'index'))
+  }
+
+  if (request[0] === '.' || nodePath.isAbsolute(request)) {
+    tryPath(nodePath.resolve(nodePath.dirname(parent.filename), request))
+    return candidates
+  }
+
+  for (const dir of parent.paths) {
+    // Missing lookup directories are skipped by Node without trying files
+    if (!fs.existsSync(dir)) {
+      candidates.push({ path: nodePath.join(dir, request), kind: 'lookup', exists: false })
+      continue
+    }
+    if (tryPath(nodePath.join(dir, request))) break
+  }
+
+  return candidates
+}
+
+/**
+ * Render an explain() trace for a terminal.
+ *
+ * @param {Object} trace
+ * @param {{ color?: boolean }} [options] - Default: chalk's detection
+ * @returns {string}
+ */
+function formatExplanation (trace, options = {}) {
+  const style = getStyles(options.color)
+  const lines = []
+  const row = (label, value) => lines.push(`${style.bold(label.padEnd(11))}${value}`)
+  const mark = (ok) => ok ? style.green('✓') : style.red('✗')
+
+  lines.push(`${style.bold('Explain')} ${style.cyan(trace.request)} ${style.dim(`from ${trace.from}`)}`)
+  if (trace.scope) row('Scope', trace.scope)
+  row('Cache', trace.cache.hit ? style.yellow(`hit (${trace.cache.value})`) : 'miss')
+
+  lines.push(style.bold('Aliases'))
+  if (!trace.aliases.length) lines.push(style.dim('  (none)'))
+  trace.aliases.forEach(entry => {
+    const scope = entry.scope ? style.dim(` [${entry.scope}]`) : ''
+    const text = `  ${entry.selected ? mark(true) : entry.matched ? style.yellow('~') : style.dim('·')} ${entry.alias}${scope}  ${style.dim(entry.reason)}`
+    lines.push(entry.matched ? text : style.dim(text))
+  })
+
+  trace.resolvers.forEach(call => {
+    const output = call.error ? style.red(`threw ${call.error}`) : call.output
+    row('Resolver', `${call.input.alias}(${call.input.fromPath}, ${call.input.request}) → ${output}`)
+  })
+  trace.fallbacks.forEach(fallback => row('Fallback', `${mark(fallback.resolves)} ${fallback.target}`))
+  if (trace.condition) row('Condition', trace.condition)
+  if (trace.target) row('Target', trace.target)
+  row('Request', trace.resolved)
+
+  if (trace.modulePaths.length) {
+    lines.push(style.bold('Module paths'))
+    trace.modulePaths.forEach(entry => {
+      lines.push(`  ${entry.used ? mark(true) : style.dim('·')} ${entry.path}  ${style.dim(entry.searched ? 'searched' : 'not searched from here')}`)
+    })
+  }
+
+  if (trace.candidates.length) {
+    lines.push(style.bold('Candidates'))
+    trace.candidates.forEach(candidate => {
+      const text = `  ${mark(candidate.exists)} ${candidate.path}  ${style.dim(candidate.kind)}`
+      lines.push(candidate.exists ? text : style.dim(text))
+    })
+  }
+
+  if (trace.filename) {
+    row('File', style.green(trace.filename))
+  } else {
+    row('Error', style.red(trace.error.split('\n').join(`\n${' '.repeat(11)}`)))
+  }
+
+  return lines.join('\n')
+}
+
+module.exports = { traceCandidates, formatExplanation }
@@ -0,0 +1,237 @@
+'use strict'
+
+const nodePath = require('path')
+const fs = require('fs')
+const { escapeRegExp, wildcardSource } = require('./patterns')
+
+// Optional "/rest" of a request; an empty match keeps the group defined
+const REST = '((?:/.*)?)'
+
+// Every exporter gets the aliases in match order, as produced by
+// ModuleAliasManager#getExportEntries(), and returns { config, unsupported }.
+// Aliases that cannot be represented, or only partly, are listed in
+// unsupported with the reason.
+
+function exportable (entries, unsupported) {
+  return entries.filter(entry => {
+    if (entry.error) unsupported.push({ alias: entry.alias, reason: entry.error })
+    return !entry.error
+  })
+}
+
+// For formats without fallback arrays
+function firstTarget (entry, unsupported) {
+  if (entry.targets.length > 1) {
+    unsupported.push({ alias: entry.alias, reason: 'only the first fallback target is used' })
+  }
+  return entry.targets[0]
+}
+
+function kind (entry) {
+  return entry.type === 'regexp' ? 'RegExp' : entry.type
+}
+
+function wildcardCount (alias) {
+  return alias.split('*').length - 1
+}
+
+// Replace the n-th "*" of a target with reference(n)
+function starsToReferences (target, reference) {
+  let index = 0
+  return target.replace(/\*/g, () => reference(++index))
+}
+
+// Regex matching the whole request for a RegExp alias, keeping its groups
+function wholeRequestSource (regexp) {
+  return `^.*?(?:${regexp.source}).*$`
+}
+
+// Anchored regex plus replacement for the moduleNameMapper-like formats
+function toRegexMapping (entry, target, reference) {
+  if (entry.type === 'prefix') {
+    return { source: `^${escapeRegExp(entry.alias)}${REST}$`, target: target + reference(1) }
+  }
+
+  const count = wildcardCount(entry.alias)
+  const replaced = starsToReferences(target, reference)
+
+  // A trailing "*" already takes the rest of the request
+  if (entry.alias.endsWith('*')) {
+    return { source: `^${wildcardSource(entry.alias)}$`, target: replaced }
+  }
+  return { source: `^${wildcardSource(entry.alias)}${REST}$`, target: replaced + reference(count + 1) }
+}
+
+function toWebpack (entries, modulePaths) {
+  const unsupported = []
+  const alias = {}
+
+  for (const entry of exportable(entries, unsupported)) {
+    if (entry.type !== 'prefix') {
+      unsupported.push({ alias: entry.alias, reason: `${kind(entry)} aliases are not supported by resolve.alias` })
+      continue
+    }
+    alias[entry.alias] = entry.targets.length > 1 ? entry.targets : entry.targets[0]
+  }
+
+  return {
+    config: { alias, modules: modulePaths.concat('node_modules') },
+    unsupported
+  }
+}
+
+function toJestModuleNameMapper (entries, modulePaths) {
+  const unsupported = []
+  const moduleNameMapper = {}
+
+  for (const entry of exportable(entries, unsupported)) {
+    if (entry.type === 'regexp') {
+      if (entry.regexp.flags) {
+        unsupported.push({ alias: entry.alias, reason: 'RegExp flags are not supported by moduleNameMapper' })
+        continue
+      }
+      moduleNameMapper[entry.regexp.source] = entry.targets.length > 1 ? entry.targets : entry.targets[0]
+      continue
+    }
+
+    const mappings = entry.targets.map(target => toRegexMapping(entry, target, index => `$${index}`))
+    const targets = mappings.map(mapping => mapping.target)
+    moduleNameMapper[mappings[0].source] = targets.length > 1 ? targets : targets[0]
+  }
+
+  return {
+    config: { moduleNameMapper, modulePaths: modulePaths.slice() },
+    unsupported
+  }
+}
+
+function toVite (entries, modulePaths) {
+  const unsupported = []
+  const alias = []
+
+  for (const entry of exportable(entries, unsupported)) {
+    const target = firstTarget(entry, unsupported)
+
+    if (entry.type === 'prefix') {
+      alias.push({ find: entry.alias, replacement: target })
+    } else if (entry.type === 'wildcard') {
+      alias.push({
+        find: new RegExp(`^${wildcardSource(entry.alias)}(?=/|$)`),
+        replacement: starsToReferences(target, index => `$${index}`)
+      })
+    } else {
+      alias.push({ find: new RegExp(wholeRequestSource(entry.regexp), entry.regexp.flags), replacement: target })
+    }
+  }
+
+  modulePaths.forEach(path => unsupported.push({ path, reason: 'module directories are not supported by resolve.alias' }))
+
+  return { config: { alias }, unsupported }
+}
+
+function toBabelModuleResolver (entries, modulePaths) {
+  const unsupported = []
+  const alias = {}
+
+  for (const entry of exportable(entries, unsupported)) {
+    const target = firstTarget(entry, unsupported)
+
+    if (entry.type === 'prefix') {
+      alias[entry.alias] = target
+    } else if (entry.type === 'wildcard') {
+      const mapping = toRegexMapping(entry, target, index => `\\${index}`)
+      alias[mapping.source] = mapping.target
+    } else if (entry.regexp.flags) {
+      unsupported.push({ alias: entry.alias, reason: 'RegExp flags are not supported by module-resolver' })
+    } else {
+      alias[wholeRequestSource(entry.regexp)] = target.replace(/\$(\d+)/g, '\\$1')
+    }
+  }
+
+  return {
+    config: { root: modulePaths.slice(), alias },
+    unsupported
+  }
+}
+
+// Settings for eslint-import-resolver-alias and eslint-import-resolver-node
+function toEslintImportResolver (entries, modulePaths) {
+  const unsupported = []
+  const map = []
+
+  for (const entry of exportable(entries, unsupported)) {
+    if (entry.type !== 'prefix') {
+      unsupported.push({ alias: entry.alias, reason: `${kind(entry)} aliases are not supported by eslint-import-resolver-alias` })
+      continue
+    }
+    map.push([entry.alias, firstTarget(entry, unsupported)])
+  }
+
+  return {
+    config: { alias: { map }, node: { paths: modulePaths.slice() } },
+    unsupported
+  }
+}
+
+function toTsconfigPaths (entries, modulePaths, baseUrl) {
+  const unsupported = []
+  const paths = {}
+
+  const relative = (target) => {
+    const path = nodePath.relative(baseUrl, target).split(nodePath.sep).join('/')
+    return path || '.'
+  }
+  const isFile = (target) => {
+    try {
+      return fs.statSync(target).isFile()
+    } catch (e) {
+      return false
+    }
+  }
+
+  for (const entry of exportable(entries, unsupported)) {
+    if (entry.type === 'regexp') {
+      unsupported.push({ alias: entry.alias, reason: 'RegExp aliases are not supported by tsconfig paths' })
+      continue
+    }
+    if (entry.targets.some(target => !nodePath.isAbsolute(target))) {
+      unsupported.push({ alias: entry.alias, reason: 'package targets are not supported by tsconfig paths' })
+      continue
+    }
+
+    if (entry.type === 'wildcard') {
+      if (wildcardCount(entry.alias) > 1 || entry.targets.some(target => wildcardCount(target) > 1)) {
+        unsupported.push({ alias: entry.alias, reason: 'tsconfig paths allow a single "*"' })
+        continue
+      }
+      paths[entry.alias] = entry.targets.map(relative)
+      continue
+    }
+
+    paths[entry.alias] = entry.targets.map(relative)
+
+    // File targets only map the alias itself
+    const directories = entry.targets.filter(target => !isFile(target))
+    if (directories.length) {
+      paths[`${entry.alias}/*`] = directories.map(target => `${relative(target)}/*`)
+    }
+  }
+
+  if (modulePaths.length) {
+    paths['*'] = modulePaths.map(path => `${relative(path)}/*`)
+  }
+
+  return {
+    config: { compilerOptions: { baseUrl: '.', paths } },
+    unsupported
+  }
+}
+
+module.exports = {
+  toWebpack,
+  toJestModuleNameMapper,
+  toVite,
+  toBabelModuleResolver,
+  toEslintImportResolver,
+  toTsconfigPaths
+}
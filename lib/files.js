@@ -0,0 +1,139 @@
+'use strict'
+
+const nodePath = require('path')
+const fs = require('fs')
+const { globToRegExp, isGlob } = require('./patterns')
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs']
+
+function toPosix (path) {
+  return path.split(nodePath.sep).join('/')
+}
+
+// Files under dir, skipping node_modules and dot directories
+function walk (dir, extensions, files) {
+  fs.readdirSync(dir).sort().forEach(name => {
+    if (name === 'node_modules' || name[0] === '.') return
+
+    const path = nodePath.join(dir, name)
+    if (fs.statSync(path).isDirectory()) {
+      walk(path, extensions, files)
+    } else if (extensions.indexOf(nodePath.extname(name)) !== -1) {
+      files.push(path)
+    }
+  })
+  return files
+}
+
+// Directory a glob can be walked from: its leading segments without wildcards
+function globBase (pattern) {
+  const segments = pattern.split('/')
+  const base = []
+  for (const segment of segments) {
+    if (isGlob(segment)) break
+    base.push(segment)
+  }
+  return base.join('/') || '.'
+}
+
+/**
+ * Source files for a list of files, directories and globs. Globs are
+ * relative to cwd; a leading "!" excludes what the pattern matches.
+ *
+ * @param {string|string[]} patterns
+ * @param {{ cwd?: string, extensions?: string[] }} [options]
+ * @returns {string[]} Absolute paths, sorted
+ */
+function collectFiles (patterns, options = {}) {
+  const cwd = options.cwd || process.cwd()
+  const extensions = options.extensions || SOURCE_EXTENSIONS
+  const included = new Set()
+  const excludes = []
+
+  for (const pattern of [].concat(patterns)) {
+    if (pattern[0] === '!') {
+      excludes.push(globToRegExp(toPosix(pattern.slice(1)).replace(/^\.\//, '')))
+      continue
+    }
+
+    if (!isGlob(pattern)) {
+      const path = nodePath.resolve(cwd, pattern)
+      if (fs.statSync(path).isDirectory()) {
+        walk(path, extensions, []).forEach(file => included.add(file))
+      } else {
+        included.add(path)
+      }
+      continue
+    }
+
+    const glob = toPosix(pattern).replace(/^\.\//, '')
+    const base = nodePath.resolve(cwd, globBase(glob))
+    if (!fs.existsSync(base)) continue
+
+    const regexp = globToRegExp(toPosix(nodePath.resolve(cwd, glob)))
+    walk(base, extensions, [])
+      .filter(file => regexp.test(toPosix(file)))
+      .forEach(file => included.add(file))
+  }
+
+  return Array.from(included)
+    .filter(file => !excludes.some(regexp => regexp.test(toPosix(nodePath.relative(cwd, file)))))
+    .sort()
+}
+
+// Every directory under dir, skipping node_modules and dot directories
+function walkDirectories (dir, directories) {
+  fs.readdirSync(dir).sort().forEach(name => {
+    if (name === 'node_modules' || name[0] === '.') return
+
+    const path = nodePath.join(dir, name)
+    if (fs.statSync(path).isDirectory()) {
+      directories.push(path)
+      walkDirectories(path, directories)
+    }
+  })
+  return directories
+}
+
+/**
+ * Directories matching a list of globs relative to cwd, e.g. workspace
+ * patterns such as "packages/*". A leading "!" excludes.
+ *
+ * @param {string|string[]} patterns
+ * @param {{ cwd?: string }} [options]
+ * @returns {string[]} Absolute paths, sorted
+ */
+function collectDirectories (patterns, options = {}) {
+  const cwd = options.cwd || process.cwd()
+  const included = new Set()
+  const excludes = []
+
+  for (const pattern of [].concat(patterns)) {
+    const exclude = pattern[0] === '!'
+    const glob = toPosix(exclude ? pattern.slice(1) : pattern).replace(/^\.\//, '').replace(/\/$/, '')
+
+    if (exclude) {
+      excludes.push(globToRegExp(glob))
+      continue
+    }
+
+    const base = nodePath.resolve(cwd, globBase(glob))
+    if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) continue
+
+    if (!isGlob(glob)) {
+      included.add(base)
+      continue
+    }
+
+    const regexp = globToRegExp(glob)
+    walkDirectories(base, [])
+      .filter(dir => regexp.test(toPosix(nodePath.relative(cwd, dir))))
+      .forEach(dir => included.add(dir))
+  }
+
+  return Array.from(included)
+    .filter(dir => !excludes.some(regexp => regexp.test(toPosix(nodePath.relative(cwd, dir)))))
+    .sort()
+}
+
+module.exports = { collectFiles, collectDirectories, SOURCE_EXTENSIONS }
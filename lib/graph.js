@@ -0,0 +1,148 @@
+'use strict'
+
+const nodePath = require('path')
+
+function quote (value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+/**
+ * Module dependency graph recorded from the require() hook. Nodes are
+ * filenames, grouped by the alias they were first required through; edges
+ * keep the request and alias. A cycle is recorded when a module requires
+ * one that is still loading, which is when it gets unfinished exports.
+ */
+class DependencyGraph {
+  constructor () {
+    this.nodes = new Map()
+    this.edges = new Map()
+    this.cycles = []
+  }
+
+  node (filename, alias) {
+    let node = this.nodes.get(filename)
+    if (!node) {
+      node = { id: filename, alias: null }
+      this.nodes.set(filename, node)
+      this.edges.set(filename, new Map())
+    }
+    if (alias && !node.alias) node.alias = alias
+    return node
+  }
+
+  /**
+   * Record that parent required filename. When filename was still loading,
+   * returns the cycle the edge closes, as the files from filename back to
+   * it; otherwise null.
+   *
+   * @param {string} parent
+   * @param {string} filename
+   * @param {string} request
+   * @param {string|null} alias
+   * @param {boolean} [loading] - filename had not finished loading
+   * @returns {{ files: string[], edges: Object[] } | null}
+   */
+  addEdge (parent, filename, request, alias, loading) {
+    this.node(parent)
+    this.node(filename, alias)
+
+    const edges = this.edges.get(parent)
+    if (edges.has(filename)) return null
+    edges.set(filename, { from: parent, to: filename, request, alias })
+    if (!loading) return null
+
+    // Edges of modules outside the graph (node_modules) are not recorded
+    const path = this.findPath(filename, parent) || [filename, parent]
+    const files = path.concat(filename)
+    const cycle = {
+      files,
+      edges: files.slice(1).map((file, index) => this.edges.get(files[index]).get(file) || { from: files[index], to: file, request: null, alias: null })
+    }
+    this.cycles.push(cycle)
+    return cycle
+  }
+
+  // Shortest list of files from start to end following edges, or null
+  findPath (start, end) {
+    const previous = new Map([[start, null]])
+    const queue = [start]
+
+    for (let i = 0; i < queue.length; i++) {
+      const file = queue[i]
+      if (file === end) {
+        const path = []
+        for (let step = file; step !== null; step = previous.get(step)) path.unshift(step)
+        return path
+      }
+
+      for (const next of this.edges.get(file).keys()) {
+        if (previous.has(next)) continue
+        previous.set(next, file)
+        queue.push(next)
+      }
+    }
+    return null
+  }
+
+  toJSON () {
+    const edges = []
+    this.edges.forEach(targets => targets.forEach(edge => edges.push(Object.assign({}, edge))))
+
+    return {
+      nodes: Array.from(this.nodes.values()).map(node => Object.assign({}, node)),
+      edges,
+      cycles: this.cycles.map(cycle => ({ files: cycle.files.slice(), edges: cycle.edges.map(edge => Object.assign({}, edge)) }))
+    }
+  }
+
+  /**
+   * Graphviz DOT, one cluster per alias. Edges of cycles are red.
+   *
+   * @param {{ cwd?: string }} [options] - Labels are relative to cwd
+   * @returns {string}
+   */
+  toDot (options = {}) {
+    const cwd = options.cwd || process.cwd()
+    const ids = new Map()
+    Array.from(this.nodes.keys()).forEach((file, index) => ids.set(file, `n${index}`))
+
+    const label = (file) => {
+      const relative = nodePath.relative(cwd, file)
+      return relative && relative.indexOf('..') !== 0 ? relative : file
+    }
+    const declare = (node) => `${ids.get(node.id)} [label=${quote(label(node.id))}];`
+
+    const groups = new Map()
+    this.nodes.forEach(node => {
+      if (!groups.has(node.alias)) groups.set(node.alias, [])
+      groups.get(node.alias).push(node)
+    })
+
+    const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=box];']
+    let cluster = 0
+    groups.forEach((nodes, alias) => {
+      if (alias === null) {
+        nodes.forEach(node => lines.push(`  ${declare(node)}`))
+        return
+      }
+      lines.push(`  subgraph cluster_${cluster++} {`)
+      lines.push(`    label=${quote(alias)};`)
+      nodes.forEach(node => lines.push(`    ${declare(node)}`))
+      lines.push('  }')
+    })
+
+    const cyclic = new Set()
+    this.cycles.forEach(cycle => cycle.edges.forEach(edge => cyclic.add(edge)))
+
+    this.edges.forEach(targets => targets.forEach(edge => {
+      const attributes = [`label=${quote(edge.request)}`]
+      if (cyclic.has(edge)) attributes.push('color=red')
+      lines.push(`  ${ids.get(edge.from)} -> ${ids.get(edge.to)} [${attributes.join(', ')}];`)
+    }))
+
+    lines.push('}')
+    return lines.join('\n')
+  }
+}
+
+module.exports = { DependencyGraph }
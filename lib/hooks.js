@@ -0,0 +1,209 @@
+'use strict'
+
+const BuiltinModule = require('module')
+
+// Guard against poorly mocked module constructors
+const Module = module.constructor.length > 1
+  ? module.constructor
+  : BuiltinModule
+
+// One pair of Node hooks per process, shared by every ModuleAliasManager.
+// Managers attach to it and detach on dispose(); the hooks are removed again
+// once the last one is gone.
+const managers = []
+const original = {}
+
+function nodeModulePaths (from) {
+  const paths = original._nodeModulePaths.call(this, from)
+
+  // Only include the module paths for top-level modules
+  if (from.indexOf('node_modules') !== -1) return paths
+
+  const modulePaths = []
+  managers.forEach(manager => {
+    manager.modulePaths.forEach(path => {
+      if (modulePaths.indexOf(path) === -1) modulePaths.push(path)
+    })
+  })
+  return modulePaths.concat(paths)
+}
+
+// The most recently attached manager recording a dependency graph
+function graphOwner () {
+  for (let i = managers.length - 1; i >= 0; i--) {
+    if (managers[i].graph) return managers[i]
+  }
+  return null
+}
+
+// The most recently attached manager with a persistent cache, for requests
+// whose result only depends on the request and the parent file. Only
+// requests through its own static aliases are stored there.
+function persistentCacheOwner (parentModule, isMain, options) {
+  if (isMain || (options && options.paths) || !parentModule || !parentModule.filename) return null
+
+  for (let i = managers.length - 1; i >= 0; i--) {
+    if (managers[i].persistentCache) return managers[i]
+  }
+  return null
+}
+
+// The most recently attached frozen manager whose snapshot has the request
+// on record, with the filename
+function snapshotResolution (request, parentModule, isMain, options) {
+  if (isMain || (options && options.paths) || !parentModule || !parentModule.filename) return null
+
+  for (let i = managers.length - 1; i >= 0; i--) {
+    const filename = managers[i].frozen && managers[i].getSnapshotResolution(request, parentModule.filename)
+    if (filename) return { owner: managers[i], filename }
+  }
+  return null
+}
+
+// require() calls in progress while a graph is recorded, innermost last.
+// Module._load resolves its request before running the module, so the
+// first resolution of a request in its frame is the require() itself;
+// anything else, such as require.resolve(), is not a dependency.
+const loads = []
+
+function load (request) {
+  if (!graphOwner()) return original._load.apply(this, arguments)
+
+  loads.push({ request, recorded: false })
+  try {
+    return original._load.apply(this, arguments)
+  } finally {
+    loads.pop()
+  }
+}
+
+function recordDependency (request, parentModule, filename, aliasManager) {
+  const frame = loads[loads.length - 1]
+  if (!frame || frame.recorded || frame.request !== request) return
+  frame.recorded = true
+
+  const owner = graphOwner()
+  if (owner) owner.recordDependency(request, parentModule, filename, aliasManager)
+}
+
+// The most recently attached manager that maps the request wins
+function resolveFilename (request, parentModule, isMain, options) {
+  let resolvedRequest = request
+  let handler = managers[managers.length - 1]
+  let resolution = null
+  let match = null
+  const started = managers.some(manager => manager.metrics) ? process.hrtime.bigint() : null
+
+  try {
+    // Skip alias matching and Node's file system probing altogether
+    const snapshot = snapshotResolution(request, parentModule, isMain, options)
+    const cacheOwner = snapshot ? null : persistentCacheOwner(parentModule, isMain, options)
+    // Drops persisted resolutions made under other conditions
+    if (cacheOwner) cacheOwner.syncEnvConditions()
+    const cached = snapshot ? snapshot.filename : cacheOwner && cacheOwner.persistentCache.get(request, parentModule.filename)
+    if (cached) {
+      const owner = snapshot ? snapshot.owner : cacheOwner
+      owner.enforceBoundaries(request, parentModule)
+      owner.trackAliasModule(request, parentModule, cached)
+      if (started !== null && owner.metrics) {
+        const ownerMatch = owner.findAliasMatch(request, parentModule.filename)
+        if (ownerMatch) owner.recordResolution(ownerMatch, parentModule, started, false)
+      }
+      recordDependency(request, parentModule, cached, owner)
+      return cached
+    }
+
+    for (let i = managers.length - 1; i >= 0; i--) {
+      handler = managers[i]
+      resolution = handler.resolveRequest(request, parentModule)
+      resolvedRequest = resolution.resolved
+      match = resolution.match
+      if (match) break
+    }
+    // Failures no manager mapped are reported by the newest one
+    if (!match) handler = managers[managers.length - 1]
+    if (match) handler.enforceBoundaries(request, parentModule)
+    const filename = original._resolveFilename.call(this, resolvedRequest, parentModule, isMain, options)
+    if (match) handler.trackAliasModule(request, parentModule, filename, match)
+    if (cacheOwner && match && handler === cacheOwner && handler.isPersistable(match)) {
+      cacheOwner.persistentCache.set(request, parentModule.filename, filename, resolvedRequest)
+    }
+    if (started !== null && match && handler.metrics) handler.recordResolution(match, parentModule, started, false)
+    recordDependency(request, parentModule, filename, match ? handler : null)
+    return filename
+  } catch (error) {
+    // Not a resolution failure: the request resolves but may not be made
+    if (error.code === 'ERR_ALIAS_BOUNDARY') throw error
+
+    if (started !== null && handler && handler.metrics) {
+      // A resolver that threw leaves no match behind; failures are rare enough to look it up
+      const failedMatch = match || handler.findAliasMatch(request, parentModule && parentModule.filename)
+      if (failedMatch) handler.recordResolution(failedMatch, parentModule, started, true)
+    }
+    if (handler) {
+      handler.log('error', 'Module resolution failed', {
+        request,
+        parent: parentModule && parentModule.filename,
+        error: error.message
+      })
+      handler.annotateResolutionError(error, request, parentModule, match ? resolution : undefined)
+    }
+    throw error
+  }
+}
+
+const hooks = { _nodeModulePaths: nodeModulePaths, _resolveFilename: resolveFilename, _load: load }
+
+function install () {
+  for (const name in hooks) {
+    // Still in the chain from an earlier install, below another library's hook
+    if (original[name]) continue
+
+    original[name] = Module[name]
+    Module[name] = hooks[name]
+  }
+}
+
+// Restore what was there before, unless another library has wrapped our hook
+// since; then it stays in its chain and just passes requests through
+function uninstall () {
+  for (const name in hooks) {
+    if (original[name] && Module[name] === hooks[name]) {
+      Module[name] = original[name]
+      delete original[name]
+    }
+  }
+}
+
+function attach (manager) {
+  if (managers.indexOf(manager) === -1) managers.push(manager)
+  install()
+}
+
+function detach (manager) {
+  const index = managers.indexOf(manager)
+  if (index !== -1) managers.splice(index, 1)
+  if (!managers.length) uninstall()
+}
+
+function isAttached (manager) {
+  return managers.indexOf(manager) !== -1
+}
+
+// Node's own resolution (or whatever was installed before us)
+function originalResolveFilename () {
+  return original._resolveFilename || Module._resolveFilename
+}
+
+function originalNodeModulePaths () {
+  return original._nodeModulePaths || Module._nodeModulePaths
+}
+
+module.exports = {
+  Module,
+  attach,
+  detach,
+  isAttached,
+  originalResolveFilename,
+  originalNodeModulePaths
+}
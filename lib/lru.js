@@ -0,0 +1,84 @@
+'use strict'
+
+/**
+ * Least recently used cache on top of Map's insertion order. Entries older
+ * than ttl milliseconds are misses; ttl 0 keeps them until evicted, max 0
+ * disables the cache.
+ */
+class LRUCache {
+  constructor (options = {}) {
+    this.max = options.max === undefined ? 1000 : options.max
+    this.ttl = options.ttl || 0
+    this.entries = new Map()
+    this.hits = 0
+    this.misses = 0
+    this.evictions = 0
+  }
+
+  get size () {
+    return this.entries.size
+  }
+
+  // undefined on a miss
+  get (key) {
+    const entry = this.entries.get(key)
+
+    if (!entry || (this.ttl && Date.now() - entry.time >= this.ttl)) {
+      if (entry) this.entries.delete(key)
+      this.misses++
+      return undefined
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    this.hits++
+    return entry.value
+  }
+
+  // Like get(), without counting or touching the entry
+  peek (key) {
+    const entry = this.entries.get(key)
+    if (!entry || (this.ttl && Date.now() - entry.time >= this.ttl)) return undefined
+    return entry.value
+  }
+
+  set (key, value) {
+    if (!this.max) return
+
+    this.entries.delete(key)
+    this.entries.set(key, { value, time: this.ttl ? Date.now() : 0 })
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value)
+      this.evictions++
+    }
+  }
+
+  delete (key) {
+    return this.entries.delete(key)
+  }
+
+  clear () {
+    this.entries.clear()
+  }
+
+  // Change max / ttl, evicting what no longer fits
+  configure (options = {}) {
+    if (options.max !== undefined) this.max = options.max
+    if (options.ttl !== undefined) this.ttl = options.ttl || 0
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value)
+      this.evictions++
+    }
+  }
+
+  resetStats () {
+    this.hits = 0
+    this.misses = 0
+    this.evictions = 0
+  }
+}
+
+module.exports = { LRUCache }
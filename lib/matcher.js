@@ -0,0 +1,110 @@
+'use strict'
+
+// Literal prefix before the first "*"; RegExp aliases have none
+function literalPrefix (alias, pattern) {
+  if (pattern && pattern.type === 'regexp') return null
+  const star = alias.indexOf('*')
+  return star === -1 ? alias : alias.slice(0, star)
+}
+
+/**
+ * Precompiled matcher for one alias table. Literal aliases live in a
+ * character trie so a lookup costs the length of the request, not the
+ * number of aliases; wildcard and RegExp aliases are tried in precedence
+ * order around it. The order is the one compareAliases() defines: longest
+ * literal prefix first, then the longest alias, RegExp aliases last.
+ *
+ * @param {string[]} names - Alias names in insertion order
+ * @param {Object} patterns - Compiled wildcard / RegExp patterns by name
+ * @returns {{ sorted: string[], match: (request: string) => Object | null }}
+ */
+function createAliasMatcher (names, patterns) {
+  const root = { children: new Map(), alias: null }
+  const wildcards = []
+  const regexps = []
+
+  names.forEach(alias => {
+    const pattern = patterns[alias]
+
+    if (!pattern) {
+      let node = root
+      for (const char of alias) {
+        if (!node.children.has(char)) node.children.set(char, { children: new Map(), alias: null })
+        node = node.children.get(char)
+      }
+      node.alias = alias
+    } else if (pattern.type === 'regexp') {
+      regexps.push({ alias, pattern })
+    } else {
+      wildcards.push({ alias, pattern, prefix: literalPrefix(alias, pattern) })
+    }
+  })
+
+  wildcards.sort((a, b) => (b.prefix.length - a.prefix.length) || (b.alias.length - a.alias.length))
+
+  const literals = names.filter(alias => !patterns[alias])
+  const sorted = literals.concat(wildcards.map(entry => entry.alias))
+    .sort((a, b) => {
+      const prefixA = literalPrefix(a, patterns[a]).length
+      const prefixB = literalPrefix(b, patterns[b]).length
+      return (prefixB - prefixA) || (b.length - a.length)
+    })
+    .concat(regexps.map(entry => entry.alias))
+
+  // Longest literal alias the request equals or continues with a separator
+  function matchLiteral (request) {
+    let node = root
+    let found = null
+
+    for (let i = 0; i <= request.length; i++) {
+      if (node.alias !== null) {
+        const next = request[i]
+        if (next === undefined || next === '/' || next === '\\') found = node.alias
+      }
+      if (i === request.length) break
+
+      node = node.children.get(request[i])
+      if (!node) break
+    }
+
+    return found
+  }
+
+  function matchPattern (entry, request) {
+    if (entry.prefix && request.indexOf(entry.prefix) !== 0) return null
+
+    const match = entry.pattern.regexp.exec(request)
+    if (!match) return null
+
+    return {
+      alias: entry.pattern.key,
+      matched: entry.pattern.type === 'regexp' ? request : match[0],
+      captures: match.slice(1)
+    }
+  }
+
+  function match (request) {
+    const literal = matchLiteral(request)
+    const literalLength = literal === null ? -1 : literal.length
+
+    for (const entry of wildcards) {
+      // A literal match outranks wildcards with a shorter literal prefix
+      if (entry.prefix.length < literalLength) break
+      const matched = matchPattern(entry, request)
+      if (matched) return matched
+    }
+
+    if (literal !== null) return { alias: literal, matched: literal, captures: [] }
+
+    for (const entry of regexps) {
+      const matched = matchPattern(entry, request)
+      if (matched) return matched
+    }
+
+    return null
+  }
+
+  return { sorted, match }
+}
+
+module.exports = { createAliasMatcher }
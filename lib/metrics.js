@@ -0,0 +1,173 @@
+'use strict'
+
+// Upper bounds of the latency histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.00001, 0.00005, 0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1]
+
+function createHistogram (buckets) {
+  return { buckets: buckets.map(() => 0), sum: 0, count: 0 }
+}
+
+function observe (histogram, bounds, seconds) {
+  for (let i = 0; i < bounds.length; i++) {
+    if (seconds <= bounds[i]) histogram.buckets[i]++
+  }
+  histogram.sum += seconds
+  histogram.count++
+}
+
+/**
+ * Per-alias resolution counters, latency histograms and the parent modules
+ * that resolve through aliases the most. Only created when metrics are
+ * enabled, so the resolution path pays for a null check otherwise.
+ *
+ * Buckets are cumulative, like Prometheus histograms: each counts the
+ * resolutions that took at most its bound.
+ *
+ * At most maxParents parent modules are counted. When there are more, the
+ * less frequent half is dropped, so the counts of parents that only show up
+ * late can be low.
+ */
+class AliasMetrics {
+  constructor (options = {}) {
+    this.bounds = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b)
+    this.topParents = options.topParents === undefined ? 10 : options.topParents
+    this.maxParents = Math.max(options.maxParents || 1000, this.topParents * 2)
+    this.reset()
+  }
+
+  reset () {
+    this.aliases = new Map()
+    this.parents = new Map()
+    this.latency = createHistogram(this.bounds)
+    this.since = Date.now()
+  }
+
+  entry (alias, scope) {
+    const key = `${scope || ''}\0${alias}`
+    let entry = this.aliases.get(key)
+    if (!entry) {
+      entry = {
+        alias: String(alias),
+        scope: scope || null,
+        hits: 0,
+        misses: 0,
+        failures: 0,
+        resolverErrors: 0,
+        latency: createHistogram(this.bounds)
+      }
+      this.aliases.set(key, entry)
+    }
+    return entry
+  }
+
+  // Resolution cache lookups of a request through the alias
+  cacheHit (alias, scope) {
+    this.entry(alias, scope).hits++
+  }
+
+  cacheMiss (alias, scope) {
+    this.entry(alias, scope).misses++
+  }
+
+  resolverError (alias, scope) {
+    this.entry(alias, scope).resolverErrors++
+  }
+
+  // A require() through the alias, from the hook call to Node's answer
+  resolution (alias, scope, parentFilename, seconds, failed) {
+    const entry = this.entry(alias, scope)
+    if (failed) entry.failures++
+    observe(entry.latency, this.bounds, seconds)
+    observe(this.latency, this.bounds, seconds)
+
+    if (!parentFilename) return
+    this.parents.set(parentFilename, (this.parents.get(parentFilename) || 0) + 1)
+    if (this.parents.size > this.maxParents) this.pruneParents()
+  }
+
+  pruneParents () {
+    const kept = Array.from(this.parents).sort((a, b) => b[1] - a[1]).slice(0, Math.floor(this.maxParents / 2))
+    this.parents = new Map(kept)
+  }
+
+  toJSON () {
+    const parents = Array.from(this.parents, ([parent, count]) => ({ parent, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this.topParents)
+
+    const aliases = Array.from(this.aliases.values())
+      .map(entry => Object.assign({}, entry, { latency: Object.assign({}, entry.latency, { buckets: entry.latency.buckets.slice() }) }))
+      .sort((a, b) => (b.hits + b.misses) - (a.hits + a.misses))
+
+    return {
+      since: new Date(this.since).toISOString(),
+      buckets: this.bounds.slice(),
+      latency: Object.assign({}, this.latency, { buckets: this.latency.buckets.slice() }),
+      aliases,
+      topParents: parents
+    }
+  }
+}
+
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function labels (values) {
+  const pairs = Object.keys(values).map(name => `${name}="${escapeLabel(values[name])}"`)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Prometheus text exposition (format 0.0.4) of getStats({ detailed: true }).
+ * Parent modules are left out: as labels their number would be unbounded.
+ *
+ * @param {Object} stats
+ * @param {{ prefix?: string }} [options]
+ * @returns {string}
+ */
+function toPrometheus (stats, options = {}) {
+  const prefix = options.prefix || 'super_alias'
+  const lines = []
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${prefix}_${name} ${help}`)
+    lines.push(`# TYPE ${prefix}_${name} ${type}`)
+    samples.forEach(sample => lines.push(`${prefix}_${sample.name || name}${labels(sample.labels || {})} ${sample.value}`))
+  }
+
+  metric('resolutions_total', 'counter', 'Requests run through the alias table.', [{ value: stats.resolutions }])
+  metric('alias_matches_total', 'counter', 'Requests that matched an alias.', [{ value: stats.aliasMatches }])
+  metric('cache_hits_total', 'counter', 'Resolution cache hits.', [{ value: stats.cacheHits }])
+  metric('cache_misses_total', 'counter', 'Resolution cache misses.', [{ value: stats.cacheMisses }])
+  metric('cache_evictions_total', 'counter', 'Resolution cache entries evicted for space.', [{ value: stats.cacheEvictions }])
+  metric('cache_entries', 'gauge', 'Entries in the resolution cache.', [{ value: stats.cacheSize }])
+  metric('aliases', 'gauge', 'Registered global aliases.', [{ value: stats.aliasCount }])
+
+  const detailed = stats.metrics
+  if (!detailed) return lines.join('\n') + '\n'
+
+  const aliasLabels = entry => entry.scope ? { alias: entry.alias, scope: entry.scope } : { alias: entry.alias }
+  const counter = (name, help, field) => metric(name, 'counter', help, detailed.aliases.map(entry => ({ labels: aliasLabels(entry), value: entry[field] })))
+
+  counter('alias_cache_hits_total', 'Resolution cache hits per alias.', 'hits')
+  counter('alias_cache_misses_total', 'Resolution cache misses per alias.', 'misses')
+  counter('alias_failures_total', 'Requests through an alias that Node could not resolve.', 'failures')
+  counter('alias_resolver_errors_total', 'Custom resolver functions that threw.', 'resolverErrors')
+
+  const name = 'resolution_duration_seconds'
+  const samples = []
+  detailed.aliases.forEach(entry => {
+    const base = aliasLabels(entry)
+    detailed.buckets.forEach((bound, index) => {
+      samples.push({ name: `${name}_bucket`, labels: Object.assign({}, base, { le: String(bound) }), value: entry.latency.buckets[index] })
+    })
+    samples.push({ name: `${name}_bucket`, labels: Object.assign({}, base, { le: '+Inf' }), value: entry.latency.count })
+    samples.push({ name: `${name}_sum`, labels: base, value: entry.latency.sum })
+    samples.push({ name: `${name}_count`, labels: base, value: entry.latency.count })
+  })
+  metric(name, 'histogram', 'Time from the require() hook to Node resolving a request through an alias.', samples)
+
+  return lines.join('\n') + '\n'
+}
+
+module.exports = { AliasMetrics, toPrometheus, DEFAULT_BUCKETS }
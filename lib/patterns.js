@@ -0,0 +1,52 @@
+'use strict'
+
+function escapeRegExp (string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// RegExp source for a wildcard alias, without anchors. A trailing "*" takes
+// the rest of the request, inner ones as little as possible.
+function wildcardSource (alias) {
+  const parts = alias.split('*').map(escapeRegExp)
+  const last = parts.pop()
+  return parts.join('(.+?)') + (last === '' ? '(.+)' : `(.+?)${last}`)
+}
+
+// RegExp for a file glob matched against "/"-separated relative paths:
+// "**" spans directories, "*" and "?" stay within one, "{a,b}" alternates
+function globToRegExp (glob) {
+  let source = ''
+  let braces = 0
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/'
+      source += slash ? '(?:.*/)?' : '.*'
+      i += slash ? 2 : 1
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '{') {
+      braces++
+      source += '(?:'
+    } else if (char === '}' && braces) {
+      braces--
+      source += ')'
+    } else if (char === ',' && braces) {
+      source += '|'
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+function isGlob (pattern) {
+  return /[*?{]/.test(pattern)
+}
+
+module.exports = { escapeRegExp, wildcardSource, globToRegExp, isGlob }
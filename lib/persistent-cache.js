@@ -0,0 +1,140 @@
+'use strict'
+
+const nodePath = require('path')
+const fs = require('fs')
+
+const VERSION = 2
+
+function mtime (path) {
+  try {
+    return fs.statSync(path).mtimeMs
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Resolved filenames of aliased requests by request and parent file, kept
+ * on disk between runs.
+ * Each entry records the mtimes of the files it depends on: the resolved
+ * file, its directory and the directory Node probed. An entry whose files
+ * changed is dropped the first time it is read; the whole file is dropped
+ * when the alias config hash differs.
+ */
+class PersistentCache {
+  constructor (file) {
+    this.file = file
+    this.entries = new Map()
+    this.dirty = false
+    this.hits = 0
+    this.misses = 0
+    this.stale = 0
+  }
+
+  static key (request, parentFilename) {
+    return `${request}\0${parentFilename}`
+  }
+
+  // Returns false when the file was missing, unreadable or made for
+  // another alias config
+  load (configHash) {
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+    } catch (error) {
+      // Created right away: adding it later would change the mtime of its
+      // directory, which entries may depend on
+      fs.mkdirSync(nodePath.dirname(this.file), { recursive: true })
+      if (!fs.existsSync(this.file)) fs.writeFileSync(this.file, '')
+      this.dirty = true
+      return false
+    }
+
+    if (!data || data.version !== VERSION || data.configHash !== configHash) {
+      // Rewrite it for the current config on save
+      this.dirty = true
+      return false
+    }
+
+    for (const key in data.entries) {
+      this.entries.set(key, { filename: data.entries[key].filename, files: data.entries[key].files, checked: false })
+    }
+    return true
+  }
+
+  get (request, parentFilename) {
+    const key = PersistentCache.key(request, parentFilename)
+    const entry = this.entries.get(key)
+
+    if (!entry) {
+      this.misses++
+      return undefined
+    }
+
+    // Checked once per process, later reads trust it
+    if (!entry.checked) {
+      const changed = Object.keys(entry.files).some(path => mtime(path) !== entry.files[path])
+      if (changed) {
+        this.entries.delete(key)
+        this.dirty = true
+        this.stale++
+        this.misses++
+        return undefined
+      }
+      entry.checked = true
+    }
+
+    this.hits++
+    return entry.filename
+  }
+
+  // request is what Node was asked after alias substitution; the directory
+  // it probed is recorded when it is a path
+  set (request, parentFilename, filename, resolvedRequest) {
+    if (!nodePath.isAbsolute(filename)) return
+
+    let probed = null
+    if (nodePath.isAbsolute(resolvedRequest)) {
+      probed = resolvedRequest
+    } else if (resolvedRequest[0] === '.') {
+      probed = nodePath.resolve(nodePath.dirname(parentFilename), resolvedRequest)
+    }
+
+    const files = {}
+    for (const path of [filename, nodePath.dirname(filename), probed && nodePath.dirname(probed)]) {
+      if (!path || path in files) continue
+      files[path] = mtime(path)
+      if (files[path] === null) return
+    }
+
+    this.entries.set(PersistentCache.key(request, parentFilename), { filename, files, checked: true })
+    this.dirty = true
+  }
+
+  clear () {
+    if (this.entries.size) this.dirty = true
+    this.entries.clear()
+  }
+
+  get size () {
+    return this.entries.size
+  }
+
+  // Written in place, so the directory's mtime stays. A start that reads a
+  // half written file just starts over.
+  save (configHash) {
+    if (!this.dirty) return false
+
+    const entries = {}
+    this.entries.forEach((entry, key) => {
+      entries[key] = { filename: entry.filename, files: entry.files }
+    })
+
+    fs.writeFileSync(this.file, JSON.stringify({ version: VERSION, configHash, entries }))
+
+    this.dirty = false
+    return true
+  }
+}
+
+module.exports = { PersistentCache }
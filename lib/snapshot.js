@@ -0,0 +1,111 @@
+'use strict'
+
+const BuiltinModule = require('module')
+const nodePath = require('path')
+const fs = require('fs')
+const { findSpecifiers } = require('./source')
+const { collectFiles } = require('./files')
+
+const VERSION = 2
+
+function resolutionKey (request, parentFilename) {
+  return `${request}\0${parentFilename}`
+}
+
+function toPosix (path) {
+  return path.split(nodePath.sep).join('/')
+}
+
+// Node appends the require stack to resolution errors
+function firstLine (message) {
+  return message.split('\n')[0]
+}
+
+/**
+ * Statically resolve every aliased require / import of the given files. The
+ * manifest maps parent files to requests to filenames, for freeze() to load
+ * at boot instead of matching aliases and probing the file system. Paths
+ * are relative to the project root, so the project can be built in one
+ * directory and run from another. Aliases with a function target are left
+ * to resolve at runtime.
+ *
+ * @param {Object} manager - ModuleAliasManager
+ * @param {string|string[]} patterns - Files, directories or globs
+ * @param {{ cwd?: string, root?: string }} [options] - root defaults to cwd
+ * @returns {{ manifest: Object, files: number, resolutions: number, unresolved: Object[], errors: Object[] }}
+ */
+function createSnapshot (manager, patterns, options = {}) {
+  const cwd = options.cwd || process.cwd()
+  const root = nodePath.resolve(cwd, options.root || cwd)
+  const files = collectFiles(patterns, { cwd })
+  const resolutions = {}
+  const result = { manifest: null, files: files.length, resolutions: 0, unresolved: [], errors: [] }
+
+  for (const file of files) {
+    let specifiers
+    try {
+      specifiers = findSpecifiers(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      result.errors.push({ file, error: error.message })
+      continue
+    }
+
+    const parent = { id: file, filename: file, paths: BuiltinModule._nodeModulePaths(nodePath.dirname(file)) }
+    const key = toPosix(nodePath.relative(root, file))
+
+    for (const specifier of specifiers) {
+      const request = specifier.value
+      const match = manager.findAliasMatch(request, file)
+      if (!match || !manager.isPersistable(match)) continue
+      if (resolutions[key] && request in resolutions[key]) continue
+
+      let filename
+      try {
+        filename = manager.oldResolveFilename.call(BuiltinModule, manager.resolveAlias(request, parent), parent, false)
+      } catch (error) {
+        result.unresolved.push({ file, line: specifier.line, column: specifier.column, specifier: request, error: firstLine(error.message) })
+        continue
+      }
+      if (!nodePath.isAbsolute(filename)) continue
+
+      if (!resolutions[key]) resolutions[key] = {}
+      resolutions[key][request] = toPosix(nodePath.relative(root, filename))
+      result.resolutions++
+    }
+  }
+
+  result.manifest = { version: VERSION, configHash: manager.aliasConfigHash(root), created: new Date().toISOString(), resolutions }
+  return result
+}
+
+/**
+ * The resolutions of a snapshot manifest by request and absolute parent
+ * filename. Throws when the file cannot be read or was made for another
+ * alias config.
+ *
+ * @param {string} file
+ * @param {string} root - Project root the manifest paths are relative to
+ * @param {string} configHash - Hash of the alias config relative to root
+ * @returns {Map<string, string>}
+ */
+function loadSnapshot (file, root, configHash) {
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'))
+
+  if (!manifest || manifest.version !== VERSION) {
+    throw new Error(`Unsupported snapshot version ${manifest && manifest.version}`)
+  }
+  if (manifest.configHash !== configHash) {
+    throw new Error('Snapshot was made for other aliases, module paths, conditions or Node major version')
+  }
+
+  const resolutions = new Map()
+  for (const parent in manifest.resolutions) {
+    const parentFilename = nodePath.resolve(root, parent)
+    for (const request in manifest.resolutions[parent]) {
+      resolutions.set(resolutionKey(request, parentFilename), nodePath.resolve(root, manifest.resolutions[parent][request]))
+    }
+  }
+  return resolutions
+}
+
+module.exports = { createSnapshot, loadSnapshot, resolutionKey }
@@ -0,0 +1,92 @@
+'use strict'
+
+const acorn = require('acorn')
+const jsx = require('acorn-jsx')
+
+const Parser = acorn.Parser.extend(jsx())
+
+function parse (source) {
+  const options = {
+    ecmaVersion: 'latest',
+    locations: true,
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true
+  }
+
+  try {
+    return Parser.parse(source, { ...options, sourceType: 'module' })
+  } catch (error) {
+    // Sloppy-mode scripts (with, octal literals, ...) only parse as scripts
+    return Parser.parse(source, { ...options, sourceType: 'script' })
+  }
+}
+
+function isStringLiteral (node) {
+  return Boolean(node) && node.type === 'Literal' && typeof node.value === 'string'
+}
+
+// require('x'), require.resolve('x')
+function isRequireCall (node) {
+  const callee = node.callee
+  if (callee.type === 'Identifier') return callee.name === 'require'
+  return callee.type === 'MemberExpression' && !callee.computed &&
+    callee.object.type === 'Identifier' && callee.object.name === 'require' &&
+    callee.property.name === 'resolve'
+}
+
+function specifierKind (node) {
+  switch (node.type) {
+    case 'ImportDeclaration': return 'import'
+    case 'ExportAllDeclaration':
+    case 'ExportNamedDeclaration': return 'export'
+    case 'ImportExpression': return 'dynamic-import'
+    case 'CallExpression':
+      if (!isRequireCall(node)) return null
+      return node.callee.type === 'Identifier' ? 'require' : 'require.resolve'
+    default: return null
+  }
+}
+
+/**
+ * String literals used as module specifiers: import / export ... from,
+ * import(), require() and require.resolve(). Lines and columns are 1-based.
+ *
+ * @param {string} source
+ * @returns {Array<{ value: string, kind: string, start: number, end: number, line: number, column: number }>}
+ */
+function findSpecifiers (source) {
+  const specifiers = []
+
+  const visit = (node) => {
+    if (!node || typeof node.type !== 'string') return
+
+    const kind = specifierKind(node)
+    const specifier = kind && (node.type === 'CallExpression' ? node.arguments[0] : node.source)
+    if (isStringLiteral(specifier)) {
+      specifiers.push({
+        value: specifier.value,
+        kind,
+        start: specifier.start,
+        end: specifier.end,
+        line: specifier.loc.start.line,
+        column: specifier.loc.start.column + 1
+      })
+    }
+
+    for (const key in node) {
+      const child = node[key]
+      if (Array.isArray(child)) {
+        child.forEach(visit)
+      } else if (child && typeof child === 'object' && key !== 'loc') {
+        visit(child)
+      }
+    }
+  }
+
+  visit(parse(source))
+  return specifiers.sort((a, b) => a.start - b.start)
+}
+
+module.exports = { parse, findSpecifiers }
@@ -0,0 +1,145 @@
+'use strict'
+
+const nodePath = require('path')
+
+const STATE_VERSION = 1
+
+// Environment variable carrying the serialized aliases to child processes
+const STATE_ENV = 'SUPER_ALIAS_STATE'
+
+// Resolver functions created by resolverRef(), by function
+const resolverRefs = new WeakMap()
+
+/**
+ * Load a resolver function from a module, remembering where it came from so
+ * serialize() can pass it on to other processes and threads.
+ *
+ * @param {string} modulePath - Absolute, relative to the working directory or a package name
+ * @param {string} [exportName] - Default: the module itself when it is a function, else its "default" export
+ * @returns {Function}
+ */
+function resolverRef (modulePath, exportName = 'default') {
+  const file = require.resolve(modulePath[0] === '.' ? nodePath.resolve(modulePath) : modulePath)
+  const exported = require(file)
+  const resolver = exportName === 'default' && typeof exported === 'function' ? exported : exported && exported[exportName]
+
+  if (typeof resolver !== 'function') {
+    throw new TypeError(`Export '${exportName}' of ${file} is not a function`)
+  }
+
+  resolverRefs.set(resolver, { module: file, export: exportName })
+  return resolver
+}
+
+function serializeAlias (alias, pattern) {
+  return pattern && pattern.type === 'regexp'
+    ? { regexp: pattern.regexp.source, flags: pattern.regexp.flags }
+    : alias
+}
+
+function hydrateAlias (alias) {
+  return typeof alias === 'string' ? alias : new RegExp(alias.regexp, alias.flags)
+}
+
+// Targets as plain data; functions become { $resolver: { module, export } }
+// or, when they were not created by resolverRef(), undefined
+function serializeTarget (target, asyncResolvers) {
+  if (typeof target === 'function') {
+    const ref = resolverRefs.get(target)
+    if (!ref) return undefined
+    return { $resolver: asyncResolvers.has(target) ? Object.assign({ async: true }, ref) : Object.assign({}, ref) }
+  }
+  if (Array.isArray(target)) {
+    const candidates = target.map(candidate => serializeTarget(candidate, asyncResolvers))
+    return candidates.indexOf(undefined) === -1 ? candidates : undefined
+  }
+  if (target && typeof target === 'object') {
+    const conditions = {}
+    for (const condition in target) {
+      conditions[condition] = serializeTarget(target[condition], asyncResolvers)
+      if (conditions[condition] === undefined) return undefined
+    }
+    return conditions
+  }
+  return target
+}
+
+function hydrateTarget (target, asyncResolvers) {
+  if (Array.isArray(target)) return target.map(candidate => hydrateTarget(candidate, asyncResolvers))
+  if (!target || typeof target !== 'object') return target
+
+  if (target.$resolver) {
+    const resolver = resolverRef(target.$resolver.module, target.$resolver.export)
+    if (target.$resolver.async && !asyncResolvers.has(resolver)) asyncResolvers.set(resolver, new Map())
+    return resolver
+  }
+
+  const conditions = {}
+  for (const condition in target) {
+    conditions[condition] = hydrateTarget(target[condition], asyncResolvers)
+  }
+  return conditions
+}
+
+/**
+ * The alias table of a manager as JSON-safe data. Function targets not
+ * created by resolverRef() cannot be passed on and are listed in
+ * unsupported instead.
+ *
+ * @param {Object} manager - ModuleAliasManager
+ * @returns {Object}
+ */
+function serializeState (manager) {
+  const unsupported = []
+  const serializeTable = (table, scope) => table.moduleAliasNames.reduce((entries, alias) => {
+    const target = serializeTarget(table.moduleAliases[alias], manager.asyncResolvers)
+    if (target === undefined) {
+      unsupported.push({ alias, scope: scope || null, reason: 'Function resolvers must be created with resolverRef(module, export)' })
+    } else {
+      entries.push({ alias: serializeAlias(alias, table.aliasPatterns[alias]), target })
+    }
+    return entries
+  }, [])
+
+  const scopes = {}
+  manager.scopes.forEach((table, root) => {
+    scopes[root] = serializeTable(table, root)
+  })
+
+  return {
+    version: STATE_VERSION,
+    aliases: serializeTable(manager),
+    scopes,
+    paths: manager.modulePaths.slice(),
+    conditions: manager.conditions.slice(),
+    propagate: Boolean(manager.propagation),
+    unsupported
+  }
+}
+
+/**
+ * Add the aliases, module paths and conditions of serializeState() to a
+ * manager.
+ *
+ * @param {Object} manager - ModuleAliasManager
+ * @param {Object} state
+ */
+function hydrateState (manager, state) {
+  if (!state || state.version !== STATE_VERSION) {
+    throw new TypeError(`Unsupported alias state version ${state && state.version}; serialize() and hydrate() need the same super-alias version`)
+  }
+
+  state.paths.forEach(path => manager.addPath(path))
+
+  const addTable = (entries, scope) => entries.forEach(entry => {
+    manager.addAlias(hydrateAlias(entry.alias), hydrateTarget(entry.target, manager.asyncResolvers), { scope })
+  })
+  addTable(state.aliases)
+  for (const root in state.scopes) {
+    addTable(state.scopes[root], root)
+  }
+
+  if (state.conditions.length) manager.setConditions(state.conditions)
+}
+
+module.exports = { STATE_ENV, resolverRef, serializeState, hydrateState }
@@ -0,0 +1,158 @@
+'use strict'
+
+const nodePath = require('path')
+const fs = require('fs')
+
+// tsconfig.json allows comments and trailing commas
+function stripJsonComments (text) {
+  let result = ''
+  let inString = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    const next = text[i + 1]
+
+    if (inString) {
+      result += char
+      if (char === '\\') {
+        result += next
+        i++
+      } else if (char === '"') {
+        inString = false
+      }
+    } else if (char === '"') {
+      inString = true
+      result += char
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++
+      result += '\n'
+    } else if (char === '/' && next === '*') {
+      i += 2
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++
+      i++
+    } else {
+      result += char
+    }
+  }
+
+  return result
+}
+
+function stripTrailingCommas (text) {
+  let result = ''
+  let inString = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inString) {
+      if (char === '\\') {
+        result += char + text[++i]
+        continue
+      }
+      if (char === '"') inString = false
+    } else if (char === '"') {
+      inString = true
+    } else if (char === ',' && /^\s*[}\]]/.test(text.slice(i + 1))) {
+      continue
+    }
+
+    result += char
+  }
+
+  return result
+}
+
+function readJsonc (file) {
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '')
+
+  try {
+    return JSON.parse(stripTrailingCommas(stripJsonComments(text)))
+  } catch (error) {
+    throw new Error(`Unable to parse ${file}: ${error.message}`)
+  }
+}
+
+// Resolve an "extends" entry the way TypeScript does: relative files with
+// an optional .json extension, or a package / package subpath
+function resolveExtends (specifier, fromDir) {
+  if (specifier[0] === '.' || nodePath.isAbsolute(specifier)) {
+    const file = nodePath.resolve(fromDir, specifier)
+    if (fs.existsSync(file) && fs.statSync(file).isFile()) return file
+    if (fs.existsSync(`${file}.json`)) return `${file}.json`
+    throw new Error(`Cannot find tsconfig '${specifier}' extended from ${fromDir}`)
+  }
+
+  for (const candidate of [specifier, `${specifier}/tsconfig.json`, `${specifier}.json`]) {
+    try {
+      return require.resolve(candidate, { paths: [fromDir] })
+    } catch (e) {}
+  }
+
+  throw new Error(`Cannot find tsconfig '${specifier}' extended from ${fromDir}`)
+}
+
+// Leading directory of an "include" pattern, e.g. "src/**/*.ts" -> "src"
+function includeRoot (pattern) {
+  const segments = pattern.split(/[\\/]/)
+  const root = []
+
+  for (const segment of segments) {
+    if (/[*?]/.test(segment) || /\.\w+$/.test(segment)) break
+    root.push(segment)
+  }
+
+  return root.join('/')
+}
+
+/**
+ * Load a tsconfig.json / jsconfig.json, following its "extends" chain.
+ * Every returned path is absolute.
+ *
+ * @param {string} file
+ * @returns {{ baseUrl?: string, paths?: Object, pathsBase?: string, rootDir?: string, inferredRootDir: string, outDir?: string, files: string[] }}
+ */
+function loadTsconfig (file, seen = []) {
+  file = nodePath.resolve(file)
+
+  if (seen.indexOf(file) !== -1) {
+    throw new Error(`Circular "extends" in ${file}`)
+  }
+  seen.push(file)
+
+  const dir = nodePath.dirname(file)
+  const json = readJsonc(file)
+  const options = json.compilerOptions || {}
+  const parents = [].concat(json.extends || [])
+
+  let config = { files: [] }
+  for (const parent of parents) {
+    const parentConfig = loadTsconfig(resolveExtends(parent, dir), seen)
+    config = { ...config, ...parentConfig, files: config.files.concat(parentConfig.files) }
+  }
+  config.files.push(file)
+
+  if (options.baseUrl !== undefined) config.baseUrl = nodePath.resolve(dir, options.baseUrl)
+  if (options.outDir !== undefined) config.outDir = nodePath.resolve(dir, options.outDir)
+  if (options.rootDir !== undefined) config.rootDir = nodePath.resolve(dir, options.rootDir)
+
+  if (options.paths !== undefined) {
+    config.paths = options.paths
+    // Without baseUrl, paths are relative to the config that declares them
+    config.pathsBase = dir
+  }
+
+  if (config.rootDir === undefined && Array.isArray(json.include)) {
+    const roots = json.include.map(includeRoot)
+    if (roots.length && roots.every(root => root === roots[0])) {
+      config.inferredRootDir = nodePath.resolve(dir, roots[0])
+    }
+  }
+  if (config.inferredRootDir === undefined) config.inferredRootDir = dir
+
+  if (config.baseUrl !== undefined) config.pathsBase = config.baseUrl
+
+  return config
+}
+
+module.exports = { loadTsconfig, readJsonc }
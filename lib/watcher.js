@@ -0,0 +1,112 @@
+'use strict'
+
+const nodePath = require('path')
+
+/**
+ * One chokidar watcher for config files and alias targets. Each path is
+ * watched through its parent directory, so paths that do not exist yet are
+ * noticed when they appear. Callbacks are debounced per path and nothing
+ * keeps the process alive.
+ *
+ * @param {{ debounce?: number, onError?: (error: Error) => void }} [options]
+ */
+function createWatcher (options = {}) {
+  const debounce = options.debounce === undefined ? 100 : options.debounce
+  const listeners = new Map()
+  const directories = new Map()
+  const timers = new Map()
+  let watcher = null
+  let ready = null
+
+  function getWatcher () {
+    if (watcher) return watcher
+
+    const chokidar = require('chokidar')
+    watcher = chokidar.watch([], { persistent: false, ignoreInitial: true, depth: 0, atomic: true })
+    ready = new Promise(resolve => watcher.once('ready', resolve))
+
+    watcher.on('all', (event, path) => schedule(nodePath.normalize(path), event))
+    watcher.on('error', error => options.onError && options.onError(error))
+    return watcher
+  }
+
+  // The last event within the debounce window wins
+  function schedule (path, event) {
+    if (!listeners.has(path)) return
+
+    clearTimeout(timers.get(path))
+    const timer = setTimeout(() => {
+      timers.delete(path)
+      const callbacks = listeners.get(path)
+      if (callbacks) callbacks.slice().forEach(callback => callback(event, path))
+    }, debounce)
+    if (timer.unref) timer.unref()
+    timers.set(path, timer)
+  }
+
+  /**
+   * Call back with chokidar's event name ('add', 'change', 'unlink',
+   * 'addDir', 'unlinkDir') whenever the file or directory at path changes.
+   *
+   * @param {string} path
+   * @param {(event: string, path: string) => void} callback
+   * @returns {{ close: () => void }}
+   */
+  function watch (path, callback) {
+    path = nodePath.resolve(path)
+    const dir = nodePath.dirname(path)
+
+    if (!listeners.has(path)) listeners.set(path, [])
+    listeners.get(path).push(callback)
+
+    const count = directories.get(dir) || 0
+    directories.set(dir, count + 1)
+    if (!count) getWatcher().add(dir)
+
+    let closed = false
+    return {
+      close () {
+        if (closed) return
+        closed = true
+
+        const callbacks = listeners.get(path)
+        callbacks.splice(callbacks.indexOf(callback), 1)
+        if (!callbacks.length) {
+          listeners.delete(path)
+          clearTimeout(timers.get(path))
+          timers.delete(path)
+        }
+
+        const remaining = directories.get(dir) - 1
+        if (remaining) {
+          directories.set(dir, remaining)
+        } else {
+          directories.delete(dir)
+          if (watcher) watcher.unwatch(dir)
+        }
+      }
+    }
+  }
+
+  function close () {
+    timers.forEach(timer => clearTimeout(timer))
+    timers.clear()
+    listeners.clear()
+    directories.clear()
+
+    const closing = watcher ? watcher.close() : Promise.resolve()
+    watcher = null
+    ready = null
+    return closing
+  }
+
+  return {
+    watch,
+    close,
+    // Resolves once the initial scan is done and events are delivered
+    ready: () => ready || Promise.resolve(),
+    isWatching: path => listeners.has(nodePath.resolve(path))
+  }
+}
+
+module.exports = { createWatcher }
@@ -0,0 +1,60 @@
+'use strict'
+
+const nodePath = require('path')
+const fs = require('fs')
+const { collectDirectories } = require('./files')
+
+// The "packages" list of a pnpm-workspace.yaml. Only that list is read, so a
+// small line parser is enough.
+function readPnpmWorkspace (file) {
+  const patterns = []
+  let inPackages = false
+
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true
+      continue
+    }
+    if (!inPackages || /^\s*(#.*)?$/.test(line)) continue
+    if (!/^\s/.test(line) && line[0] !== '-') break
+
+    const item = /^\s*-\s*(['"]?)(.*?)\1\s*(#.*)?$/.exec(line)
+    if (item) patterns.push(item[2])
+  }
+
+  return patterns
+}
+
+/**
+ * Workspace patterns of a repository root: package.json "workspaces"
+ * (npm / yarn, array or { packages }) and pnpm-workspace.yaml.
+ *
+ * @param {string} root
+ * @param {Object} packageJson - Parsed root package.json
+ * @returns {string[]}
+ */
+function workspacePatterns (root, packageJson) {
+  const workspaces = packageJson.workspaces
+  let patterns = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || []
+
+  const pnpmWorkspace = nodePath.join(root, 'pnpm-workspace.yaml')
+  if (fs.existsSync(pnpmWorkspace)) {
+    patterns = patterns.concat(readPnpmWorkspace(pnpmWorkspace))
+  }
+
+  return patterns
+}
+
+/**
+ * Package directories (containing a package.json) of a workspace root.
+ *
+ * @param {string} root
+ * @param {Object} packageJson - Parsed root package.json
+ * @returns {string[]}
+ */
+function findWorkspacePackages (root, packageJson) {
+  return collectDirectories(workspacePatterns(root, packageJson), { cwd: root })
+    .filter(dir => dir !== root && fs.existsSync(nodePath.join(dir, 'package.json')))
+}
+
+module.exports = { findWorkspacePackages, workspacePatterns, readPnpmWorkspace }
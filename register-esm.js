@@ -0,0 +1,2 @@
+require('.')()
+require('.').registerEsm()
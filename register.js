@@ -1 +1,16 @@
-require('.')()
+const alias = require('.')
+const { STATE_ENV } = require('./lib/state')
+
+// Children of a process propagating its aliases load their own package.json,
+// if they have one, then get its alias table on top
+const state = process.env[STATE_ENV]
+if (state) {
+  try {
+    alias()
+  } catch (error) {
+    if (error.code !== 'ERR_ALIAS_NO_PACKAGE_JSON') throw error
+  }
+  alias.hydrate(JSON.parse(state))
+} else {
+  alias()
+}
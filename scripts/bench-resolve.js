@@ -0,0 +1,76 @@
+'use strict'
+
+// Alias matching and resolution cache benchmark.
+//
+//   node scripts/bench-resolve.js [aliases=500] [requests=20000]
+//
+// Compares the previous strategy (sort every alias on each lookup and try
+// them one by one) with the precompiled trie matcher, then measures
+// resolveAlias() with the LRU resolution cache cold and warm.
+
+const nodePath = require('path')
+const { ModuleAliasManager } = require('..')
+
+const aliasCount = Number(process.argv[2]) || 500
+const requestCount = Number(process.argv[3]) || 20000
+
+const manager = new ModuleAliasManager()
+manager.configureCache({ max: requestCount, ttl: 0 })
+
+for (let i = 0; i < aliasCount; i++) {
+  const target = nodePath.join(__dirname, `targets/${i}`)
+  if (i % 10 === 0) {
+    manager.addAlias(`@feature${i}/*/api`, `${target}/*/api`)
+  } else {
+    manager.addAlias(`@pkg${i}`, target)
+    if (i % 5 === 0) manager.addAlias(`@pkg${i}/nested`, `${target}/nested`)
+  }
+}
+
+const requests = []
+for (let i = 0; i < requestCount; i++) {
+  const n = i % aliasCount
+  requests.push(n % 10 === 0 ? `@feature${n}/user/api/index` : n % 7 === 0 ? `lodash/fp/${i}` : `@pkg${n}/lib/file${i % 50}`)
+}
+
+// The lookup as it was: sort on every call, then try each alias
+function sortedLookup (request) {
+  const sorted = manager.moduleAliasNames.slice().sort((a, b) => manager.compareAliases(a, b))
+  for (const alias of sorted) {
+    const match = manager.matchAlias(request, alias)
+    if (match) return match
+  }
+  return null
+}
+
+function time (label, fn) {
+  const start = process.hrtime.bigint()
+  fn()
+  const ms = Number(process.hrtime.bigint() - start) / 1e6
+  console.log(`${label.padEnd(34)} ${ms.toFixed(1).padStart(9)} ms  ${(ms * 1000 / requests.length).toFixed(2).padStart(7)} µs/request`)
+  return ms
+}
+
+console.log(`${manager.moduleAliasNames.length} aliases, ${requests.length} requests\n`)
+
+// Same answers either way
+for (const request of requests.slice(0, 2000)) {
+  const expected = sortedLookup(request)
+  const actual = manager.findAliasMatch(request)
+  if ((expected && expected.alias) !== (actual && actual.alias)) {
+    throw new Error(`Matchers disagree on ${request}: ${expected && expected.alias} vs ${actual && actual.alias}`)
+  }
+}
+
+const sorted = time('sorted scan (previous)', () => requests.forEach(sortedLookup))
+const trie = time('trie matcher', () => requests.forEach(request => manager.findAliasMatch(request)))
+console.log(`${''.padEnd(34)} ${(sorted / trie).toFixed(1).padStart(9)}x faster\n`)
+
+const parent = { filename: __filename }
+time('resolveAlias, cold cache', () => requests.forEach(request => manager.resolveAlias(request, parent)))
+time('resolveAlias, warm cache', () => requests.forEach(request => manager.resolveAlias(request, parent)))
+
+const stats = manager.getStats()
+console.log(`\ncache: ${stats.cacheSize} entries, hit rate ${(stats.cacheHitRate * 100).toFixed(1)}%, ${stats.cacheEvictions} evictions`)
+
+manager.dispose()
@@ -1,6 +1,8 @@
 /* eslint-env mocha */
 var expect = require('chai').expect
 var exec = require('child_process').exec
+var fork = require('child_process').fork
+var Worker = require('worker_threads').Worker
 var path = require('path')
 var fs = require('fs')
 var semver = require('semver')
@@ -62,6 +64,1293 @@ describe('enhanced-module-alias', function () {
     expect(moduleAlias.isPathMatchesAlias('/one-two/three', '/one')).to.equal(false)
   })
 
+  it('should match wildcard and RegExp aliases', function () {
+    expect(moduleAlias.isPathMatchesAlias('@feature/a/api', '@feature/*/api')).to.equal(true)
+    expect(moduleAlias.isPathMatchesAlias('@feature/a/b/api/client', '@feature/*/api')).to.equal(true)
+    expect(moduleAlias.isPathMatchesAlias('@feature/a/apis', '@feature/*/api')).to.equal(false)
+    expect(moduleAlias.isPathMatchesAlias('styles.css', /\.css$/)).to.equal(true)
+  })
+
+  describe('Wildcard and RegExp aliases', function () {
+    it('should substitute wildcards into the target', function () {
+      moduleAlias.addAliases({
+        '@feature/*/api': path.join(__dirname, 'src/*/baz'),
+        '#lib/*': path.join(__dirname, 'src/*/index.js')
+      })
+
+      expect(require('@feature/bar/api')).to.equal('Hello from baz')
+      expect(require('#lib/foo')).to.equal('Hello from foo')
+    })
+
+    it('should substitute RegExp capture groups into the target', function () {
+      moduleAlias.addAlias(/^@re\/(\w+)$/, path.join(__dirname, 'src/$1'))
+
+      expect(require('@re/foo')).to.equal('Hello from foo')
+      expect(moduleAlias.manager.moduleAliases).to.have.property('/^@re\\/(\\w+)$/')
+    })
+
+    it('should rank matches by specificity', function () {
+      moduleAlias.addAliases({
+        '@rank': path.join(__dirname, 'src/bar'),
+        '@rank/*/deep': path.join(__dirname, 'src/bar/*'),
+        '@rank/*': path.join(__dirname, 'src/*'),
+        '@rank/special': path.join(__dirname, 'src/bar/baz')
+      })
+
+      expect(moduleAlias.manager.resolveAlias('@rank/baz/deep'))
+        .to.equal(path.join(__dirname, 'src/bar/baz'))
+      expect(moduleAlias.manager.resolveAlias('@rank/special'))
+        .to.equal(path.join(__dirname, 'src/bar/baz'))
+      expect(moduleAlias.manager.resolveAlias('@rank/foo'))
+        .to.equal(path.join(__dirname, 'src/foo'))
+    })
+  })
+
+  describe('Conditional aliases', function () {
+    var target = {
+      'super-alias-test': path.join(__dirname, 'src/foo'),
+      default: path.join(__dirname, 'src/bar/baz')
+    }
+
+    it('should pick the default branch', function () {
+      moduleAlias.addAlias('@cond', target)
+
+      expect(require('@cond')).to.equal('Hello from baz')
+    })
+
+    it('should pick the first active condition', function () {
+      var resolved
+      moduleAlias.on('aliasResolved', function listener (data) {
+        resolved = data
+        moduleAlias.off('aliasResolved', listener)
+      })
+      moduleAlias.setConditions(['super-alias-test'])
+      moduleAlias.addAlias('@cond', target)
+
+      expect(require('@cond')).to.equal('Hello from foo')
+      expect(resolved.condition).to.equal('super-alias-test')
+      expect(moduleAlias.getStats().conditionMatches['@cond']).to.deep.equal({ 'super-alias-test': 1 })
+    })
+
+    it('should import conditions from package.json', function () {
+      moduleAlias({
+        base: path.join(__dirname, 'src'),
+        conditions: ['super-alias-test'],
+        hotReload: false
+      })
+
+      expect(require('@cond')).to.equal('Hello from foo')
+    })
+
+    it('should drop cached resolutions when the conditions in the environment change', function () {
+      var changes = []
+      moduleAlias.on('conditionsChanged', function (data) { changes.push(data.conditions) })
+      moduleAlias.addAlias('@cond', target)
+      expect(moduleAlias.manager.resolveAlias('@cond')).to.equal(target.default)
+
+      process.env.SUPER_ALIAS_CONDITIONS = 'super-alias-test'
+      try {
+        expect(moduleAlias.manager.resolveAlias('@cond')).to.equal(target['super-alias-test'])
+        expect(changes).to.have.length(1)
+        expect(changes[0]).to.include('super-alias-test')
+      } finally {
+        delete process.env.SUPER_ALIAS_CONDITIONS
+      }
+
+      expect(moduleAlias.manager.resolveAlias('@cond')).to.equal(target.default)
+      expect(changes).to.have.length(2)
+    })
+
+    it('should throw when no branch matches', function () {
+      moduleAlias.addAlias('@cond', { 'super-alias-test': path.join(__dirname, 'src/foo') })
+
+      expect(function () {
+        moduleAlias.manager.resolveAlias('@cond')
+      }).to.throw("No branch of alias '@cond' matches the active conditions")
+    })
+  })
+
+  describe('Fallback targets', function () {
+    it('should use the first target the request resolves under', function () {
+      moduleAlias.addAlias('@fallback', [
+        path.join(__dirname, 'src/missing'),
+        path.join(__dirname, 'src/foo'),
+        path.join(__dirname, 'src/bar')
+      ])
+
+      expect(require('@fallback/baz')).to.equal('Hello from baz')
+      expect(require('@fallback')).to.equal('Hello from foo')
+    })
+
+    it('should fall back to a package', function () {
+      moduleAlias.addAlias('@fallback', [path.join(__dirname, 'src/missing'), 'hello-world-classic'])
+
+      expect(typeof require('@fallback')).to.equal('function')
+    })
+
+    it('should import fallback targets from package.json', function () {
+      moduleAlias({ base: path.join(__dirname, 'src'), hotReload: false })
+
+      expect(require('@fallback/baz')).to.equal('Hello from baz')
+    })
+  })
+
+  describe('Hot reload', function () {
+    var os = require('os')
+    var dir, packageJsonPath
+
+    function write (file, content) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+      fs.writeFileSync(path.join(dir, file), content)
+    }
+
+    beforeEach(function () {
+      dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'super-alias-')))
+      packageJsonPath = path.join(dir, 'package.json')
+      write('a/index.js', "module.exports = 'a'")
+      write('a2/index.js', "module.exports = 'a2'")
+      write('b/index.js', "module.exports = 'b'")
+      write('c/index.js', "module.exports = 'c'")
+      write('package.json', JSON.stringify({
+        _moduleAliases: { '@a': 'a', '@b': 'b', '@c': 'c' },
+        _moduleDirectories: ['mods']
+      }))
+    })
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should apply a diff and evict only the modules of changed aliases', function () {
+      moduleAlias({ base: dir, hotReload: false })
+      moduleAlias.addAlias('@prog', path.join(dir, 'a'))
+
+      expect(require('@a')).to.equal('a')
+      expect(require('@b')).to.equal('b')
+      expect(require('@c')).to.equal('c')
+
+      write('package.json', JSON.stringify({
+        _moduleAliases: { '@a': 'a2', '@c': 'c', '@d': 'b', '@prog': 'b' }
+      }))
+
+      var changed
+      moduleAlias.on('aliasesChanged', function listener (diff) {
+        changed = diff
+        moduleAlias.off('aliasesChanged', listener)
+      })
+      var diff = moduleAlias.reloadAliases(packageJsonPath)
+
+      expect(changed).to.equal(diff)
+      expect(diff.aliases).to.deep.equal({
+        added: [{ alias: '@d', target: path.join(dir, 'b') }],
+        removed: [{ alias: '@b', target: path.join(dir, 'b') }],
+        retargeted: [{ alias: '@a', from: path.join(dir, 'a'), to: path.join(dir, 'a2') }]
+      })
+      expect(diff.paths).to.deep.equal({ added: [], removed: [path.join(dir, 'mods')] })
+      expect(diff.evicted).to.have.members([path.join(dir, 'a/index.js'), path.join(dir, 'b/index.js')])
+      expect(require.cache[path.join(dir, 'c/index.js')]).to.not.equal(undefined)
+
+      expect(require('@a')).to.equal('a2')
+      expect(moduleAlias.manager.moduleAliases['@prog']).to.equal(path.join(dir, 'a'))
+      expect(moduleAlias.manager.modulePaths).to.deep.equal([])
+    })
+
+    it('should debounce reloads of a watched package.json', function (done) {
+      this.timeout(5000)
+      var changes = []
+      moduleAlias({ base: dir, watchDebounce: 50 })
+      function listener (diff) { changes.push(diff) }
+      moduleAlias.on('aliasesChanged', listener)
+
+      moduleAlias.manager.fileWatcher.ready().then(function () {
+        write('package.json', JSON.stringify({ _moduleAliases: { '@a': 'a2', '@b': 'b', '@c': 'c' } }))
+        write('package.json', JSON.stringify({ _moduleAliases: { '@a': 'a2', '@b': 'b' } }))
+
+        setTimeout(function () {
+          moduleAlias.off('aliasesChanged', listener)
+          expect(changes).to.have.length(1)
+          expect(moduleAlias.manager.moduleAliases['@a']).to.equal(path.join(dir, 'a2'))
+          expect(moduleAlias.manager.moduleAliases['@c']).to.equal(undefined)
+          done()
+        }, 1000)
+      }).catch(done)
+    })
+
+    it('should notice alias targets appearing', function (done) {
+      this.timeout(5000)
+      var target = path.join(dir, 'later')
+      moduleAlias({ base: dir, watchDebounce: 10 })
+      moduleAlias.addAlias('@later', target)
+
+      expect(moduleAlias.manager.validateAliasTarget(target)).to.equal(false)
+      moduleAlias.on('targetChanged', function listener (event) {
+        moduleAlias.off('targetChanged', listener)
+        expect(event).to.deep.equal({ target: target, exists: true })
+        expect(moduleAlias.manager.validateAliasTarget(target)).to.equal(true)
+        done()
+      })
+      moduleAlias.manager.fileWatcher.ready().then(function () {
+        fs.mkdirSync(target)
+      }).catch(done)
+    })
+
+    it('should reload when an extended tsconfig changes', function (done) {
+      this.timeout(5000)
+      write('tsconfig.base.json', JSON.stringify({ compilerOptions: { paths: { '@ts/*': ['a/*'] } } }))
+      write('tsconfig.json', JSON.stringify({ extends: './tsconfig.base.json' }))
+      moduleAlias({ base: dir, tsconfig: true, watchDebounce: 10 })
+      expect(moduleAlias.manager.moduleAliases['@ts']).to.equal(path.join(dir, 'a'))
+
+      moduleAlias.on('aliasesChanged', function listener (diff) {
+        moduleAlias.off('aliasesChanged', listener)
+        expect(diff.aliases.retargeted).to.deep.equal([{ alias: '@ts', from: path.join(dir, 'a'), to: path.join(dir, 'b') }])
+        done()
+      })
+      moduleAlias.manager.fileWatcher.ready().then(function () {
+        write('tsconfig.base.json', JSON.stringify({ compilerOptions: { paths: { '@ts/*': ['b/*'] } } }))
+      }).catch(done)
+    })
+
+    it('should not keep the process alive while watching', function (done) {
+      this.timeout(10000)
+      write('tsconfig.json', JSON.stringify({ compilerOptions: { baseUrl: '.' } }))
+      exec('"' + process.execPath + '" ' + path.join(__dirname, 'src/watch/exit.js') + ' ' + dir, { timeout: 8000 }, function (error, stdout) {
+        if (error) return done(error)
+        expect(Number(stdout)).to.be.greaterThan(1)
+        done()
+      })
+    })
+  })
+
+  describe('Manager instances', function () {
+    var ModuleAliasManager
+
+    before(function () { ModuleAliasManager = moduleAlias.ModuleAliasManager })
+
+    it('should share the Node hooks instead of stacking them', function () {
+      var Module = require('module')
+      var resolveFilename = Module._resolveFilename
+      var instance = new ModuleAliasManager()
+
+      expect(Module._resolveFilename).to.equal(resolveFilename)
+
+      instance.addAlias('@instance', path.join(__dirname, 'src/foo'))
+      expect(require('@instance')).to.equal('Hello from foo')
+      expect(moduleAlias.manager.findAlias('@instance')).to.equal(null)
+
+      instance.dispose()
+      expect(Module._resolveFilename).to.equal(resolveFilename)
+      expect(function () { require.resolve('@instance') }).to.throw()
+    })
+
+    it('should report unmapped failures from the newest instance', function () {
+      var instance = new ModuleAliasManager()
+      var logged = []
+      moduleAlias.on('log', function (entry) { if (entry.level === 'error') logged.push('default') })
+      instance.on('log', function (entry) { if (entry.level === 'error') logged.push('instance') })
+      instance.addAlias('@instance', path.join(__dirname, 'src/foo'))
+
+      try {
+        var error
+        try {
+          require('@instanse/index')
+        } catch (e) {
+          error = e
+        }
+        expect(logged).to.deep.equal(['instance'])
+        expect(error.aliasDiagnostics.nearestAliases).to.deep.equal(['@instance'])
+      } finally {
+        instance.dispose()
+      }
+    })
+
+    it('should restore the Node functions with the last instance (dispose)', function (done) {
+      this.timeout(10000)
+      exec('"' + process.execPath + '" ' + path.join(__dirname, 'src/hooks/dispose.js'), function (error, stdout) {
+        if (error) return done(error)
+        expect(JSON.parse(stdout)).to.deep.equal({
+          hooked: true,
+          stacked: false,
+          resolvedByInstance: 'Hello from foo',
+          stillHooked: true,
+          restored: true,
+          otherLibrary: 'Hello from baz',
+          aliasAfterDispose: 'MODULE_NOT_FOUND'
+        })
+        done()
+      })
+    })
+  })
+
+  describe('Resolution errors', function () {
+    function requireError (request) {
+      try {
+        require(request)
+      } catch (error) {
+        return error
+      }
+      throw new Error('Expected ' + request + ' to fail')
+    }
+
+    beforeEach(function () {
+      moduleAlias.addAlias('@utils', path.join(__dirname, 'src/foo'))
+      moduleAlias.addAlias('@missing', path.join(__dirname, 'src/nothere'))
+    })
+
+    it('should suggest the closest file in the alias target', function () {
+      var error = requireError('@utils/indx')
+
+      expect(error.code).to.equal('MODULE_NOT_FOUND')
+      expect(error.aliasDiagnostics).to.include({
+        alias: '@utils',
+        target: path.join(__dirname, 'src/foo'),
+        resolved: path.join(__dirname, 'src/foo/indx'),
+        targetExists: true
+      })
+      expect(error.aliasDiagnostics.closestFiles).to.deep.equal(['index'])
+      expect(error.message).to.contain("Alias '@utils' resolved '@utils/indx' to")
+      expect(error.message).to.contain("Did you mean '@utils/index'?")
+    })
+
+    it('should suggest the nearest alias when none matched', function () {
+      var error = requireError('@util/index')
+
+      expect(error.aliasDiagnostics.alias).to.equal(null)
+      expect(error.aliasDiagnostics.nearestAliases).to.deep.equal(['@utils'])
+      expect(error.aliasDiagnostics.suggestions).to.deep.equal(['@utils/index'])
+      expect(error.message.split('\n')[0]).to.equal("Cannot find module '@util/index'")
+    })
+
+    it('should report a missing alias target', function () {
+      var error = requireError('@missing/file')
+
+      expect(error.aliasDiagnostics.targetExists).to.equal(false)
+      expect(error.message).to.contain('Alias target ' + path.join(__dirname, 'src/nothere') + ' does not exist')
+    })
+
+    it('should only diagnose when the error is read, without calling resolvers again', function () {
+      var calls = 0
+      moduleAlias.addAlias('@counted', function () {
+        calls++
+        return path.join(__dirname, 'src/foo')
+      })
+
+      var manager = moduleAlias.manager
+      var diagnose = manager.diagnoseResolution
+      var diagnosed = 0
+      manager.diagnoseResolution = function () {
+        diagnosed++
+        return diagnose.apply(this, arguments)
+      }
+
+      try {
+        var error = requireError('@counted/indx')
+        expect(diagnosed).to.equal(0)
+
+        expect(error.message).to.contain("Did you mean '@counted/index'?")
+        expect(error.aliasDiagnostics.target).to.equal(path.join(__dirname, 'src/foo'))
+        expect(diagnosed).to.equal(1)
+        expect(calls).to.equal(1)
+      } finally {
+        delete manager.diagnoseResolution
+      }
+    })
+  })
+
+  describe('Explain', function () {
+    it('should trace aliases, resolver calls and the files tried', function () {
+      moduleAlias.addAlias('@src', path.join(__dirname, 'src'))
+      moduleAlias.addAlias('@src/bar', function (fromPath, request) {
+        return path.join(__dirname, 'src/bar')
+      })
+
+      var trace = moduleAlias.explain('@src/bar/baz', { from: __filename })
+
+      expect(trace.aliases.map(function (entry) { return [entry.alias, entry.selected, entry.matched] })).to.deep.equal([
+        ['@src/bar', true, true],
+        ['@src', false, true]
+      ])
+      expect(trace.aliases[1].reason).to.equal('matches, but @src/bar is more specific')
+      expect(trace.resolvers).to.deep.equal([{
+        input: { fromPath: __filename, request: '@src/bar/baz', alias: '@src/bar' },
+        output: path.join(__dirname, 'src/bar')
+      }])
+      expect(trace.resolved).to.equal(path.join(__dirname, 'src/bar/baz'))
+      expect(trace.candidates.slice(0, 2)).to.deep.equal([
+        { path: path.join(__dirname, 'src/bar/baz'), kind: 'file', exists: false },
+        { path: path.join(__dirname, 'src/bar/baz.js'), kind: 'extension', exists: false }
+      ])
+      expect(trace.candidates[trace.candidates.length - 1]).to.deep.equal({
+        path: path.join(__dirname, 'src/bar/baz/index.js'), kind: 'index', exists: true
+      })
+      expect(trace.filename).to.equal(path.join(__dirname, 'src/bar/baz/index.js'))
+    })
+
+    it('should report module paths and render the trace', function () {
+      moduleAlias.addPath(path.join(__dirname, 'src/node_modules_custom'))
+      var trace = moduleAlias.explain('some-module', { from: __filename })
+
+      expect(trace.cache.hit).to.equal(false)
+      expect(trace.modulePaths).to.deep.equal([
+        { path: path.join(__dirname, 'src/node_modules_custom'), searched: true, used: true }
+      ])
+
+      var text = moduleAlias.formatExplanation(trace, { color: false })
+      expect(text.split('\n')[0]).to.equal('Explain some-module from ' + __filename)
+      expect(text).to.contain('File       ' + path.join(__dirname, 'src/node_modules_custom/some-module/index.js'))
+      expect(require('util').inspect(trace)).to.contain('Module paths')
+    })
+
+    it('should show the cached request after a require', function () {
+      moduleAlias.addAlias('@explained', path.join(__dirname, 'src/foo'))
+      require('@explained')
+
+      var trace = moduleAlias.explain('@explained', { from: __filename })
+      expect(trace.cache).to.include({ hit: true, value: path.join(__dirname, 'src/foo') })
+      expect(moduleAlias.formatExplanation(trace, { color: false }))
+        .to.contain('Cache      hit (' + path.join(__dirname, 'src/foo') + ')')
+    })
+  })
+
+  describe('Alias matcher and resolution cache', function () {
+    it('should match in the same order as compareAliases', function () {
+      var manager = moduleAlias.manager
+      ;['@a', '@a/b', '@a/b/c', '@a/*', '@a/b*', '@x*', '@x', 'lib', 'lib-extra', '/abs'].forEach(function (alias) {
+        manager.addAlias(alias, path.join(__dirname, 'src'))
+      })
+      manager.addAlias(/^lib-(.*)$/, path.join(__dirname, 'src/$1'))
+
+      var sorted = manager.moduleAliasNames.slice().sort(function (a, b) { return manager.compareAliases(a, b) })
+      expect(manager.getAliasMatcher().sorted).to.deep.equal(sorted)
+
+      ;['@a', '@a/b', '@a/bc', '@a/b/c/d', '@a/x/y', '@x', '@xy/z', 'lib/z', 'lib\\z', 'lib-extra/a', 'lib-other', '/abs/file', 'none'].forEach(function (request) {
+        var expected = null
+        sorted.some(function (alias) {
+          expected = manager.matchAlias(request, alias)
+          return expected
+        })
+        var actual = manager.findAliasMatch(request)
+        if (actual) delete actual.scope
+        expect(actual, request).to.deep.equal(expected)
+      })
+    })
+
+    it('should evict the least recently used resolution', function () {
+      moduleAlias.manager.configureCache({ max: 2, ttl: 0 })
+      moduleAlias.addAlias('@lru', path.join(__dirname, 'src'))
+      var parent = { filename: __filename }
+
+      moduleAlias.manager.resolveAlias('@lru/a', parent)
+      moduleAlias.manager.resolveAlias('@lru/b', parent)
+      moduleAlias.manager.resolveAlias('@lru/a', parent)
+      moduleAlias.manager.resolveAlias('@lru/c', parent)
+      moduleAlias.manager.resolveAlias('@lru/a', parent)
+
+      var stats = moduleAlias.getStats()
+      expect(stats.cacheEvictions).to.equal(1)
+      expect(stats.cacheHits).to.equal(2)
+      expect(stats.cacheHitRate).to.equal(2 / 5)
+      expect(moduleAlias.manager.resolutionCache.peek('resolve:@lru/b:' + __filename)).to.equal(undefined)
+
+      moduleAlias.addAlias('@other', path.join(__dirname, 'src'))
+      expect(moduleAlias.getStats().cacheSize).to.equal(0)
+      moduleAlias.manager.configureCache({ max: 1000, ttl: 5000 })
+    })
+
+    it('should expire resolutions after the ttl', function (done) {
+      var LRUCache = require('../lib/lru').LRUCache
+      var cache = new LRUCache({ max: 10, ttl: 20 })
+      cache.set('key', 'value')
+      expect(cache.get('key')).to.equal('value')
+
+      setTimeout(function () {
+        expect(cache.get('key')).to.equal(undefined)
+        expect(cache.size).to.equal(0)
+        done()
+      }, 40)
+    })
+  })
+
+  describe('Metrics', function () {
+    it('should count resolutions, failures and latency per alias', function () {
+      moduleAlias.manager.enableMetrics({ interval: 0 })
+      moduleAlias.addAlias('@metrics', path.join(__dirname, 'src'))
+      moduleAlias.addAlias('@broken', function () { throw new Error('resolver down') })
+
+      require.resolve('@metrics/foo')
+      require.resolve('@metrics/foo')
+      expect(function () { require.resolve('@metrics/missing') }).to.throw()
+      expect(function () { require.resolve('@broken/x') }).to.throw('resolver down')
+      require.resolve('path')
+
+      var metrics = moduleAlias.getStats({ detailed: true }).metrics
+      var entry = metrics.aliases.find(function (entry) { return entry.alias === '@metrics' })
+      expect(entry).to.include({ hits: 1, misses: 2, failures: 1, resolverErrors: 0 })
+      expect(entry.latency.count).to.equal(3)
+      expect(metrics.aliases.find(function (entry) { return entry.alias === '@broken' })).to.include({ failures: 1, resolverErrors: 1 })
+      expect(metrics.latency.count).to.equal(4)
+      expect(metrics.topParents).to.deep.equal([{ parent: __filename, count: 4 }])
+
+      var text = moduleAlias.toPrometheus()
+      expect(text).to.include('# TYPE super_alias_resolution_duration_seconds histogram')
+      expect(text).to.include('super_alias_alias_failures_total{alias="@metrics"} 1')
+      expect(text).to.include('super_alias_resolution_duration_seconds_bucket{alias="@metrics",le="+Inf"} 3')
+    })
+
+    it('should reuse the alias match of the resolution and bound the parents it counts', function () {
+      var metrics = moduleAlias.manager.enableMetrics({ interval: 0, topParents: 2, maxParents: 4 })
+      moduleAlias.addAlias('@metrics', path.join(__dirname, 'src'))
+
+      var matches = 0
+      var findAliasMatch = moduleAlias.manager.findAliasMatch
+      moduleAlias.manager.findAliasMatch = function () {
+        matches++
+        return findAliasMatch.apply(this, arguments)
+      }
+      try {
+        require.resolve('@metrics/foo')
+        require.resolve('@metrics/foo')
+      } finally {
+        delete moduleAlias.manager.findAliasMatch
+      }
+      expect(matches).to.equal(1)
+
+      ;['a', 'b', 'c', 'd', 'e'].forEach(function (name) {
+        metrics.resolution('@metrics', null, path.join(__dirname, name + '.js'), 0, false)
+      })
+      expect(metrics.parents.size).to.be.at.most(4)
+      expect(metrics.toJSON().topParents[0]).to.deep.equal({ parent: __filename, count: 2 })
+    })
+
+    it('should emit metrics periodically', function (done) {
+      moduleAlias.manager.enableMetrics({ interval: 10 })
+      moduleAlias.manager.once('metrics', function (stats) {
+        expect(stats.metrics.aliases).to.deep.equal([])
+        done()
+      })
+    })
+
+    it('should collect nothing when disabled', function () {
+      moduleAlias.addAlias('@metrics', path.join(__dirname, 'src'))
+      require.resolve('@metrics/foo')
+
+      expect(moduleAlias.getStats({ detailed: true }).metrics).to.equal(null)
+      expect(moduleAlias.toPrometheus()).to.not.include('super_alias_alias_failures_total')
+    })
+  })
+
+  describe('Overrides', function () {
+    var services = path.join(__dirname, 'src/services')
+    var fake = path.join(__dirname, 'src/fakes/payment.js')
+    var otherFake = path.join(__dirname, 'src/fakes/other-payment.js')
+
+    beforeEach(function () {
+      moduleAlias.addAlias('@services', services)
+    })
+
+    afterEach(function () {
+      ;['services/payment.js', 'services/checkout.js', 'services/order.js', 'fakes/payment.js', 'fakes/other-payment.js'].forEach(function (file) {
+        delete require.cache[path.join(__dirname, 'src', file)]
+      })
+    })
+
+    it('should layer on top of existing aliases and evict the modules using them', function () {
+      expect(require('@services/checkout').payment).to.equal('real')
+
+      var handle = moduleAlias.override({ '@services/payment': fake })
+      expect(handle.evicted).to.include(path.join(services, 'payment.js'))
+      expect(handle.evicted).to.include(path.join(services, 'checkout.js'))
+      expect(require('@services/checkout').payment).to.equal('fake')
+
+      expect(handle.restore()).to.include(path.join(services, 'checkout.js'))
+      expect(require('@services/checkout').payment).to.equal('real')
+      expect(moduleAlias.manager.moduleAliasNames).to.deep.equal(['@services'])
+      expect(handle.restore()).to.deep.equal([])
+    })
+
+    it('should evict every module above the overridden one except the caller', function () {
+      expect(require('@services/order').checkout.payment).to.equal('real')
+
+      var handle = moduleAlias.override({ '@services/payment': fake })
+      expect(handle.evicted).to.have.members([
+        path.join(services, 'payment.js'),
+        path.join(services, 'checkout.js'),
+        path.join(services, 'order.js')
+      ])
+      expect(require.cache[__filename]).to.not.equal(undefined)
+      expect(require('@services/order').checkout.payment).to.equal('fake')
+
+      handle.restore()
+      expect(require.cache[__filename]).to.not.equal(undefined)
+      expect(require('@services/order').checkout.payment).to.equal('real')
+    })
+
+    it('should restore stacked overrides in any order', function () {
+      var first = moduleAlias.override({ '@services/payment': fake, '@services': services })
+      var second = moduleAlias.override({ '@services/payment': otherFake })
+
+      first.restore()
+      expect(require('@services/payment')).to.equal('other fake')
+      expect(moduleAlias.manager.moduleAliases['@services']).to.equal(services)
+
+      second.restore()
+      expect(require('@services/payment')).to.equal('real')
+      expect(moduleAlias.manager.moduleAliasNames).to.deep.equal(['@services'])
+    })
+
+    it('should restore after a function returns, throws or settles', function (done) {
+      expect(moduleAlias.withAliases({ '@services/payment': fake }, function () {
+        return require('@services/payment')
+      })).to.equal('fake')
+
+      expect(function () {
+        moduleAlias.withAliases({ '@services/payment': fake }, function () { throw new Error('boom') })
+      }).to.throw('boom')
+      expect(require('@services/payment')).to.equal('real')
+
+      moduleAlias.withAliases({ '@services/payment': fake }, function () {
+        return new Promise(function (resolve) {
+          setTimeout(function () { resolve(require('@services/payment')) }, 5)
+        })
+      }).then(function (payment) {
+        expect(payment).to.equal('fake')
+        expect(require('@services/payment')).to.equal('real')
+        done()
+      }).catch(done)
+    })
+
+    describe('in mocha hooks', function () {
+      var payment
+
+      beforeEach(function () {
+        payment = moduleAlias.override({ '@services/payment': fake })
+      })
+
+      afterEach(function () {
+        payment.restore()
+      })
+
+      it('should see the fake in every test', function () {
+        expect(require('@services/checkout').payment).to.equal('fake')
+      })
+    })
+  })
+
+  describe('Serialized aliases', function () {
+    var src = path.join(__dirname, 'src')
+    var resolvers = path.join(src, 'propagate/resolvers.js')
+
+    it('should serialize and hydrate the alias table', function () {
+      var tenant = moduleAlias.resolverRef(resolvers, 'tenant')
+      moduleAlias.addAliases({
+        '@plain': path.join(src, 'foo'),
+        '@wild/*': path.join(src, 'bar/*'),
+        '@cond': { 'super-alias-test': path.join(src, 'foo'), default: path.join(src, 'bar') },
+        '@tenant': tenant,
+        '@inline': function () { return src }
+      })
+      moduleAlias.addAlias(/^re-(.*)$/i, path.join(src, '$1'))
+      moduleAlias.addAlias('@scoped', path.join(src, 'bar'), { scope: path.join(src, 'workspace') })
+      moduleAlias.addPath(path.join(src, 'node_modules_custom'))
+      moduleAlias.setConditions(['super-alias-test'])
+
+      var state = JSON.parse(JSON.stringify(moduleAlias.serialize()))
+      expect(state.unsupported).to.deep.equal([{ alias: '@inline', scope: null, reason: 'Function resolvers must be created with resolverRef(module, export)' }])
+
+      var other = new moduleAlias.ModuleAliasManager()
+      try {
+        other.hydrate(state)
+        var parent = { filename: __filename }
+        ;['@plain/x', '@wild/baz', '@cond', '@tenant', 'RE-foo'].forEach(function (request) {
+          expect(other.resolveAlias(request, parent), request).to.equal(moduleAlias.manager.resolveAlias(request, parent))
+        })
+        expect(other.scopes.get(path.join(src, 'workspace')).moduleAliases['@scoped']).to.equal(path.join(src, 'bar'))
+        expect(other.modulePaths).to.deep.equal([path.join(src, 'node_modules_custom')])
+        expect(other.moduleAliases['@tenant']).to.equal(tenant)
+      } finally {
+        other.dispose()
+      }
+    })
+
+    it('should pass aliases on to forked processes', function (done) {
+      this.timeout(10000)
+      var nodeOptions = process.env.NODE_OPTIONS
+      var execArgv = process.execArgv.slice()
+
+      moduleAlias.manager.enablePropagation()
+      // Added after enabling, the state is kept up to date
+      moduleAlias.addAlias('@propagated', path.join(src, 'foo'))
+      moduleAlias.addAlias('@tenant', moduleAlias.resolverRef(resolvers, 'tenant'))
+
+      // The child keeps the aliases of its own package.json, under those of the parent
+      var child = fork(path.join(src, 'propagate/child.js'), { cwd: path.join(src, 'propagate') })
+      child.on('message', function (message) {
+        expect(message).to.deep.equal({ propagated: 'Hello from foo', tenant: 'Hello from foo', own: 'Hello from baz' })
+
+        moduleAlias.manager.disablePropagation()
+        expect(process.env.NODE_OPTIONS).to.equal(nodeOptions)
+        expect(process.execArgv).to.deep.equal(execArgv)
+        expect(process.env.SUPER_ALIAS_STATE).to.equal(undefined)
+        done()
+      })
+      child.on('error', done)
+    })
+
+    it('should pass aliases on to worker threads', function (done) {
+      this.timeout(10000)
+      moduleAlias.addAlias('@propagated', path.join(src, 'bar'))
+
+      var worker = new Worker(path.join(src, 'propagate/worker.js'), moduleAlias.workerOptions())
+      worker.on('message', function (message) {
+        expect(message).to.equal('Hello from baz')
+        done()
+      })
+      worker.on('error', done)
+    })
+  })
+
+  describe('Dependency graph', function () {
+    var fixture = path.join(__dirname, 'src/graph')
+
+    afterEach(function () {
+      ;['a.js', 'b.js', 'c.js'].forEach(function (file) { delete require.cache[path.join(fixture, file)] })
+    })
+
+    it('should report a circular dependency when it closes', function () {
+      moduleAlias.addAlias('@graph', fixture)
+      moduleAlias.manager.enableGraph()
+
+      var cycles = []
+      moduleAlias.on('circularDependency', function (cycle) {
+        cycles.push(cycle)
+        // a.js is still loading at this point
+        expect(require.cache[path.join(fixture, 'c.js')].loaded).to.equal(false)
+      })
+
+      expect(require(path.join(fixture, 'a.js')).b).to.deep.equal({ name: 'c', sawA: false })
+      expect(cycles).to.deep.equal([{
+        files: ['a.js', 'b.js', 'c.js', 'a.js'].map(function (file) { return path.join(fixture, file) }),
+        requests: ['@graph/b', './c', '@graph/a'],
+        aliases: ['@graph', '@graph']
+      }])
+
+      var graph = moduleAlias.getDependencyGraph()
+      expect(graph.nodes.map(function (node) { return [path.relative(__dirname, node.id), node.alias] })).to.deep.equal([
+        ['specs.js', null],
+        [path.join('src', 'graph', 'a.js'), '@graph'],
+        [path.join('src', 'graph', 'b.js'), '@graph'],
+        [path.join('src', 'graph', 'c.js'), null]
+      ])
+      expect(graph.edges).to.have.length(4)
+      expect(graph.cycles).to.have.length(1)
+
+      var dot = moduleAlias.toDot({ cwd: fixture })
+      expect(dot).to.have.string('subgraph cluster_0 {\n    label="@graph";\n    n1 [label="a.js"];\n    n2 [label="b.js"];\n  }')
+      expect(dot).to.have.string('n3 -> n1 [label="@graph/a", color=red];')
+      expect(dot).to.have.string('n0 -> n1 [label="' + path.join(fixture, 'a.js').replace(/\\/g, '\\\\') + '"];')
+    })
+
+    it('should not report require.resolve() or requires after loading as cycles', function () {
+      var lazy = path.join(__dirname, 'src/graph-lazy')
+      moduleAlias.addAlias('@lazy', lazy)
+      moduleAlias.manager.enableGraph()
+
+      var cycles = []
+      moduleAlias.on('circularDependency', function (cycle) { cycles.push(cycle) })
+
+      try {
+        var a = require(path.join(lazy, 'a.js'))
+        expect(a.b.resolved).to.equal(path.join(lazy, 'a.js'))
+        expect(a.b.a).to.equal(a)
+      } finally {
+        ;['a.js', 'b.js'].forEach(function (file) { delete require.cache[path.join(lazy, file)] })
+      }
+
+      expect(cycles).to.deep.equal([])
+      var graph = moduleAlias.getDependencyGraph()
+      expect(graph.edges.map(function (edge) { return edge.request })).to.deep.equal([path.join(lazy, 'a.js'), '@lazy/b', '@lazy/a'])
+      expect(graph.cycles).to.deep.equal([])
+    })
+
+    it('should not record anything unless enabled', function () {
+      moduleAlias.addAlias('@graph', fixture)
+      require(path.join(fixture, 'a.js'))
+
+      expect(moduleAlias.getDependencyGraph()).to.equal(null)
+    })
+  })
+
+  describe('Persistent cache', function () {
+    var os = require('os')
+    var dir
+
+    function write (file, content) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+      fs.writeFileSync(path.join(dir, file), content)
+    }
+
+    function run (callback) {
+      var script = path.join(__dirname, 'src/persistent/run.js')
+      exec('"' + process.execPath + '" ' + script + ' ' + dir, function (error, stdout) {
+        if (error) return callback(error)
+        callback(null, JSON.parse(stdout))
+      })
+    }
+
+    beforeEach(function () {
+      dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'super-alias-')))
+      write('package.json', JSON.stringify({ _moduleAliases: { '@lib': 'lib' } }))
+      write('lib/index.js', "module.exports = 'lib'")
+      write('lib/util.js', "module.exports = 'util'")
+      write('main.js', "module.exports = [require('@lib'), require('@lib/util'), require('@fn/util'), require('./lib/util')]")
+    })
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should reuse resolutions across runs until files or aliases change', function (done) {
+      this.timeout(20000)
+
+      run(function (error, first) {
+        if (error) return done(error)
+        // Neither the function alias nor the relative require is kept
+        expect(first.values).to.deep.equal(['lib', 'util', 'util', 'util'])
+        expect(first.cache).to.include({ hits: 0, size: 2 })
+
+        var saved = JSON.parse(fs.readFileSync(path.join(dir, '.cache/super-alias.json'), 'utf8'))
+        expect(saved.entries['@lib\u0000' + path.join(dir, 'main.js')].filename).to.equal(path.join(dir, 'lib/index.js'))
+
+        run(function (error, second) {
+          if (error) return done(error)
+          expect(second.values).to.deep.equal(['lib', 'util', 'util', 'util'])
+          expect(second.cache).to.include({ hits: 2, size: 2 })
+
+          // A new file in lib/ could shadow what was resolved there
+          write('lib/extra.js', '')
+          run(function (error, third) {
+            if (error) return done(error)
+            expect(third.cache).to.include({ hits: 0, stale: 2 })
+
+            write('package.json', JSON.stringify({ _moduleAliases: { '@lib': 'lib', '@other': 'lib' } }))
+            run(function (error, fourth) {
+              if (error) return done(error)
+              expect(fourth.cache).to.include({ hits: 0, stale: 0 })
+              done()
+            })
+          })
+        })
+      })
+    })
+  })
+
+  describe('Freeze', function () {
+    var os = require('os')
+    var fixture = path.join(__dirname, 'src/graph')
+    var file
+
+    beforeEach(function () {
+      file = path.join(fs.realpathSync(os.tmpdir()), 'super-alias-snapshot-' + process.pid + '.json')
+    })
+
+    afterEach(function () {
+      ;['a.js', 'b.js', 'c.js'].forEach(function (name) { delete require.cache[path.join(fixture, name)] })
+      fs.rmSync(file, { force: true })
+    })
+
+    it('should lock the alias table and stop checking targets', function () {
+      moduleAlias.addAlias('@src', path.join(__dirname, 'src'))
+      moduleAlias.manager.watchAliasTargets(path.join(__dirname, 'src'))
+      moduleAlias.freeze()
+
+      expect(moduleAlias.manager.watchers.size).to.equal(0)
+      expect(Object.isFrozen(moduleAlias.manager.moduleAliases)).to.equal(true)
+      ;[
+        function () { moduleAlias.addAlias('@bar', path.join(__dirname, 'src/bar')) },
+        function () { moduleAlias.addPath(path.join(__dirname, 'src')) },
+        function () { moduleAlias.removeAlias('@src') },
+        function () { moduleAlias.setConditions(['production']) },
+        function () { moduleAlias.override({ '@src': path.join(__dirname, 'src/bar') }) }
+      ].forEach(function (mutate) {
+        expect(mutate).to.throw(/the alias manager is frozen/).with.property('code', 'ERR_ALIAS_FROZEN')
+      })
+
+      var validated = 0
+      moduleAlias.manager.validateAliasTarget = function () { validated++ }
+      expect(require('@src/foo')).to.equal('Hello from foo')
+      expect(validated).to.equal(0)
+      delete moduleAlias.manager.validateAliasTarget
+    })
+
+    it('should keep the condition branches active when frozen', function () {
+      moduleAlias.addAlias('@cond', { 'super-alias-test': path.join(__dirname, 'src/bar'), default: path.join(__dirname, 'src/foo') })
+      moduleAlias.freeze()
+
+      process.env.SUPER_ALIAS_CONDITIONS = 'super-alias-test'
+      try {
+        expect(require('@cond')).to.equal('Hello from foo')
+      } finally {
+        delete process.env.SUPER_ALIAS_CONDITIONS
+      }
+      expect(moduleAlias.getStats().frozen.conditions).to.deep.equal(['default'])
+    })
+
+    it('should resolve from a snapshot manifest', function () {
+      moduleAlias.addAlias('@graph', fixture)
+      var result = moduleAlias.snapshot('.', { cwd: fixture, file: file })
+
+      expect(result).to.include({ files: 3, resolutions: 2, file: file })
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).resolutions['a.js']).to.deep.equal({ '@graph/b': 'b.js' })
+
+      moduleAlias.reset()
+      moduleAlias.addAlias('@graph', fixture)
+      moduleAlias.freeze({ snapshot: file, root: fixture })
+
+      expect(require(path.join(fixture, 'a.js')).b.name).to.equal('c')
+      expect(moduleAlias.getStats().frozen.snapshot).to.deep.equal({ file: file, size: 2, hits: 2 })
+    })
+
+    it('should use a snapshot built in another directory', function () {
+      var build = fs.mkdtempSync(path.join(fs.realpathSync(os.tmpdir()), 'super-alias-build-'))
+      var deployed = build + '-deployed'
+      ;['a.js', 'b.js', 'c.js'].forEach(function (name) { fs.copyFileSync(path.join(fixture, name), path.join(build, name)) })
+
+      try {
+        moduleAlias.addAlias('@graph', build)
+        moduleAlias.snapshot('.', { cwd: build, file: file })
+        fs.renameSync(build, deployed)
+
+        moduleAlias.reset()
+        moduleAlias.addAlias('@graph', deployed)
+        moduleAlias.freeze({ snapshot: file, root: deployed })
+
+        expect(require(path.join(deployed, 'a.js')).b.name).to.equal('c')
+        expect(moduleAlias.getStats().frozen.snapshot).to.include({ size: 2, hits: 2 })
+      } finally {
+        ;['a.js', 'b.js', 'c.js'].forEach(function (name) { delete require.cache[path.join(deployed, name)] })
+        fs.rmSync(build, { recursive: true, force: true })
+        fs.rmSync(deployed, { recursive: true, force: true })
+      }
+    })
+
+    it('should ignore a snapshot made for other aliases', function () {
+      moduleAlias.addAlias('@graph', fixture)
+      moduleAlias.snapshot(fixture, { file: file, root: fixture })
+
+      moduleAlias.reset()
+      moduleAlias.addAlias('@graph', fixture)
+      moduleAlias.addAlias('@other', fixture)
+
+      var frozen = []
+      moduleAlias.on('frozen', function (data) { frozen.push(data) })
+      moduleAlias.freeze({ snapshot: file, root: fixture })
+
+      expect(frozen[0].snapshotError).to.match(/made for other aliases/)
+      expect(moduleAlias.getStats().frozen.snapshot).to.equal(null)
+      expect(require(path.join(fixture, 'a.js')).b.name).to.equal('c')
+    })
+  })
+
+  describe('Config files', function () {
+    it('should load .superaliasrc.json and the superAlias key of package.json', function () {
+      var base = path.join(__dirname, 'src/config')
+      moduleAlias({ base: base, hotReload: false })
+
+      expect(require('@pkg')).to.equal('pkg')
+      expect(require('@rc')).to.equal('rc')
+      expect(require('@shared')).to.equal('rc')
+      expect(require('config-lib')).to.equal('from lib')
+      expect(moduleAlias.manager.aliasSources['@rc']).to.equal(path.join(base, '.superaliasrc.json'))
+      expect(moduleAlias.manager.aliasSources['@pkg']).to.equal(path.join(base, 'package.json'))
+    })
+
+    it('should load function targets from superalias.config.js', function () {
+      moduleAlias({ base: path.join(__dirname, 'src/config-js'), hotReload: false })
+      expect(require('@fn')).to.equal('rc')
+    })
+
+    it('should point to the offending key of an invalid config', function () {
+      expect(function () {
+        moduleAlias({ base: path.join(__dirname, 'src/config-invalid'), hotReload: false })
+      }).to.throw(TypeError, /\("superAlias"\): aliases\['@broken'\]\[1\]\['node'\]: must be a non-empty string/)
+
+      expect(function () {
+        require('../lib/config').validateConfig({ aliases: {}, alias: {} }, 'x.json')
+      }).to.throw('Invalid alias config in x.json: unknown key "alias"')
+    })
+  })
+
+  describe('Scoped aliases', function () {
+    var workspace = path.join(__dirname, 'src/workspace')
+
+    it('should only apply a scoped alias under its package root', function () {
+      moduleAlias.addAlias('@lib', path.join(workspace, 'shared'))
+      moduleAlias.addAlias('@lib', path.join(workspace, 'packages/a/lib'), { scope: path.join(workspace, 'packages/a') })
+
+      var inside = { filename: path.join(workspace, 'packages/a/index.js') }
+      var outside = { filename: path.join(workspace, 'packages/b/index.js') }
+
+      expect(moduleAlias.manager.resolveAlias('@lib/x', inside)).to.equal(path.join(workspace, 'packages/a/lib/x'))
+      expect(moduleAlias.manager.resolveAlias('@lib/x', outside)).to.equal(path.join(workspace, 'shared/x'))
+      expect(moduleAlias.manager.findAliasMatch('@lib', inside.filename).scope).to.equal(path.join(workspace, 'packages/a'))
+    })
+
+    it('should load every workspace package into its own scope (workspaces)', function () {
+      moduleAlias({ base: workspace, workspaces: true, hotReload: false })
+
+      expect(require(path.join(workspace, 'index.js'))).to.equal('lib of the root')
+      expect(require(path.join(workspace, 'packages/a'))).to.equal('lib of a')
+      expect(require(path.join(workspace, 'packages/b'))).to.equal('lib of b')
+      expect(require(path.join(workspace, 'tools/c'))).to.equal('lib of c')
+      expect(moduleAlias.getStats().scopeCount).to.equal(3)
+    })
+
+    it('should scope the aliases of init() to the package (scope)', function () {
+      moduleAlias({ base: path.join(workspace, 'packages/b'), scope: true, hotReload: false })
+
+      expect(moduleAlias.manager.moduleAliasNames).to.deep.equal([])
+      expect(moduleAlias.manager.findAlias('@lib', path.join(workspace, 'packages/b/index.js'))).to.equal('@lib')
+      expect(moduleAlias.manager.findAlias('@lib', path.join(workspace, 'index.js'))).to.equal(null)
+    })
+
+    it('should scope the aliases of another package calling init() by default', function () {
+      moduleAlias({ base: workspace, hotReload: false })
+      moduleAlias({ base: path.join(workspace, 'packages/a'), hotReload: false })
+
+      expect(moduleAlias.manager.moduleAliases['@lib']).to.equal(path.join(workspace, 'shared'))
+      expect(moduleAlias.manager.resolveAlias('@lib', { filename: path.join(workspace, 'index.js') })).to.equal(path.join(workspace, 'shared'))
+      expect(moduleAlias.manager.resolveAlias('@lib', { filename: path.join(workspace, 'packages/a/index.js') })).to.equal(path.join(workspace, 'packages/a/lib'))
+
+      moduleAlias({ base: path.join(workspace, 'packages/b'), scope: false, hotReload: false })
+      expect(moduleAlias.manager.moduleAliases['@lib']).to.equal(path.join(workspace, 'packages/b/src/lib'))
+      expect(moduleAlias.getStats().scopeCount).to.equal(1)
+    })
+
+    it('should export the aliases of a scope, reporting scoped ones otherwise', function () {
+      moduleAlias.addAlias('@lib', path.join(workspace, 'shared'))
+      moduleAlias.addAlias('@shared', path.join(workspace, 'shared'))
+      moduleAlias.addAlias('@lib', path.join(workspace, 'packages/a/lib'), { scope: path.join(workspace, 'packages/a') })
+
+      expect(moduleAlias.toWebpack({ scope: path.join(workspace, 'packages/a') }).config.alias).to.deep.equal({
+        '@lib': path.join(workspace, 'packages/a/lib'),
+        '@shared': path.join(workspace, 'shared')
+      })
+
+      var global = moduleAlias.toWebpack()
+      expect(global.config.alias['@lib']).to.equal(path.join(workspace, 'shared'))
+      expect(global.unsupported).to.deep.equal([
+        { alias: '@lib', reason: 'scoped to ' + path.join(workspace, 'packages/a') + '; export it with { scope }' }
+      ])
+
+      expect(function () { moduleAlias.toVite({ scope: path.join(workspace, 'packages/b') }) }).to.throw(/No aliases are scoped to/)
+    })
+  })
+
+  describe('Config exporters', function () {
+    var src = path.join(__dirname, 'src')
+
+    beforeEach(function () {
+      moduleAlias.addAliases({
+        '@src': src,
+        '@feature/*/api': path.join(src, '*/baz'),
+        '@fn': function () { return src }
+      })
+      moduleAlias.addAlias(/^@re\/(\w+)$/, path.join(src, '$1'))
+    })
+
+    it('should export webpack resolve options', function () {
+      var exported = moduleAlias.manager.toWebpack()
+
+      expect(exported.config.alias).to.deep.equal({ '@src': src })
+      expect(exported.unsupported.map(function (entry) { return entry.alias }))
+        .to.have.members(['@feature/*/api', '@fn', '/^@re\\/(\\w+)$/'])
+    })
+
+    it('should export a Jest moduleNameMapper', function () {
+      var mapper = moduleAlias.manager.toJestModuleNameMapper().config.moduleNameMapper
+
+      function map (request) {
+        for (var pattern in mapper) {
+          var match = request.match(new RegExp(pattern))
+          if (match) {
+            return mapper[pattern].replace(/\$(\d+)/g, function (_, index) { return match[index] })
+          }
+        }
+      }
+
+      expect(map('@src')).to.equal(src)
+      expect(map('@src/foo')).to.equal(path.join(src, 'foo'))
+      expect(map('@srcfoo')).to.equal(undefined)
+      expect(map('@feature/bar/api')).to.equal(path.join(src, 'bar/baz'))
+      expect(map('@re/foo')).to.equal(path.join(src, 'foo'))
+    })
+
+    describe('with exact, fallback and flagged aliases', function () {
+      beforeEach(function () {
+        moduleAlias.addAliases({
+          '@index': path.join(src, 'foo/index.js'),
+          '@fallback': [path.join(src, 'nothere'), path.join(src, 'foo')]
+        })
+        moduleAlias.addAlias(/^@ci\/(\w+)$/i, path.join(src, '$1'))
+        moduleAlias.addPath(path.join(src, 'modules'))
+      })
+
+      function reasons (exported) {
+        return exported.unsupported.map(function (entry) { return (entry.alias || entry.path) + ': ' + entry.reason })
+      }
+
+      // A plain key maps itself and anything under it, like resolve.alias
+      function mapPrefix (key, target, request) {
+        if (request === key) return target
+        if (request.indexOf(key + '/') === 0) return target + request.slice(key.length)
+      }
+
+      it('should export webpack fallbacks and module directories', function () {
+        var exported = moduleAlias.manager.toWebpack()
+
+        expect(exported.config).to.deep.equal({
+          alias: {
+            '@fallback': [path.join(src, 'nothere'), path.join(src, 'foo')],
+            '@index': path.join(src, 'foo/index.js'),
+            '@src': src
+          },
+          modules: [path.join(src, 'modules'), 'node_modules']
+        })
+        expect(reasons(exported)).to.have.members([
+          '@fn: custom resolver functions cannot be exported',
+          '@feature/*/api: wildcard aliases are not supported by resolve.alias',
+          '/^@re\\/(\\w+)$/: RegExp aliases are not supported by resolve.alias',
+          '/^@ci\\/(\\w+)$/i: RegExp aliases are not supported by resolve.alias'
+        ])
+      })
+
+      it('should export Jest fallbacks and report RegExp flags', function () {
+        var exported = moduleAlias.manager.toJestModuleNameMapper()
+
+        expect(exported.config.moduleNameMapper).to.include({ '^@index((?:/.*)?)$': path.join(src, 'foo/index.js') + '$1' })
+        expect(exported.config.moduleNameMapper['^@fallback((?:/.*)?)$']).to.deep.equal([
+          path.join(src, 'nothere') + '$1',
+          path.join(src, 'foo') + '$1'
+        ])
+        expect(exported.config.modulePaths).to.deep.equal([path.join(src, 'modules')])
+        expect(reasons(exported)).to.have.members([
+          '@fn: custom resolver functions cannot be exported',
+          '/^@ci\\/(\\w+)$/i: RegExp flags are not supported by moduleNameMapper'
+        ])
+      })
+
+      it('should export tsconfig paths of files, fallbacks and module directories', function () {
+        var exported = moduleAlias.manager.toTsconfigPaths({ baseUrl: __dirname })
+        var paths = exported.config.compilerOptions.paths
+
+        expect(paths['@index']).to.deep.equal(['src/foo/index.js'])
+        expect(paths).to.not.have.property('@index/*')
+        expect(paths['@fallback/*']).to.deep.equal(['src/nothere/*', 'src/foo/*'])
+        expect(paths['*']).to.deep.equal(['src/modules/*'])
+        expect(reasons(exported)).to.have.members([
+          '@fn: custom resolver functions cannot be exported',
+          '/^@re\\/(\\w+)$/: RegExp aliases are not supported by tsconfig paths',
+          '/^@ci\\/(\\w+)$/i: RegExp aliases are not supported by tsconfig paths'
+        ])
+      })
+
+      it('should export Vite resolve.alias entries', function () {
+        var exported = moduleAlias.manager.toVite()
+
+        function map (request) {
+          for (var i = 0; i < exported.config.alias.length; i++) {
+            var entry = exported.config.alias[i]
+            if (typeof entry.find === 'string') {
+              var mapped = mapPrefix(entry.find, entry.replacement, request)
+              if (mapped !== undefined) return mapped
+            } else if (entry.find.test(request)) {
+              return request.replace(entry.find, entry.replacement)
+            }
+          }
+        }
+
+        expect(map('@src')).to.equal(src)
+        expect(map('@src/foo')).to.equal(path.join(src, 'foo'))
+        expect(map('@srcfoo')).to.equal(undefined)
+        expect(map('@index')).to.equal(path.join(src, 'foo/index.js'))
+        expect(map('@feature/bar/api')).to.equal(path.join(src, 'bar/baz'))
+        expect(map('@feature/bar/api/index')).to.equal(path.join(src, 'bar/baz/index'))
+        expect(map('@re/foo')).to.equal(path.join(src, 'foo'))
+        expect(map('@CI/foo')).to.equal(path.join(src, 'foo'))
+        expect(map('@fallback/index')).to.equal(path.join(src, 'nothere/index'))
+        expect(reasons(exported)).to.have.members([
+          '@fn: custom resolver functions cannot be exported',
+          '@fallback: only the first fallback target is used',
+          path.join(src, 'modules') + ': module directories are not supported by resolve.alias'
+        ])
+      })
+
+      it('should export babel-plugin-module-resolver options', function () {
+        var exported = moduleAlias.manager.toBabelModuleResolver()
+
+        function map (request) {
+          for (var key in exported.config.alias) {
+            var target = exported.config.alias[key]
+            if (key[0] !== '^') {
+              var mapped = mapPrefix(key, target, request)
+              if (mapped !== undefined) return mapped
+              continue
+            }
+            var match = request.match(new RegExp(key))
+            if (match) return target.replace(/\\(\d+)/g, function (_, index) { return match[index] || '' })
+          }
+        }
+
+        expect(exported.config.root).to.deep.equal([path.join(src, 'modules')])
+        expect(map('@src')).to.equal(src)
+        expect(map('@src/foo')).to.equal(path.join(src, 'foo'))
+        expect(map('@srcfoo')).to.equal(undefined)
+        expect(map('@index')).to.equal(path.join(src, 'foo/index.js'))
+        expect(map('@feature/bar/api')).to.equal(path.join(src, 'bar/baz'))
+        expect(map('@feature/bar/api/index')).to.equal(path.join(src, 'bar/baz/index'))
+        expect(map('@re/foo')).to.equal(path.join(src, 'foo'))
+        expect(map('@ci/foo')).to.equal(undefined)
+        expect(reasons(exported)).to.have.members([
+          '@fn: custom resolver functions cannot be exported',
+          '@fallback: only the first fallback target is used',
+          '/^@ci\\/(\\w+)$/i: RegExp flags are not supported by module-resolver'
+        ])
+      })
+
+      it('should export eslint-import-resolver-alias settings', function () {
+        var exported = moduleAlias.manager.toEslintImportResolver()
+
+        expect(exported.config).to.deep.equal({
+          alias: {
+            map: [
+              ['@fallback', path.join(src, 'nothere')],
+              ['@index', path.join(src, 'foo/index.js')],
+              ['@src', src]
+            ]
+          },
+          node: { paths: [path.join(src, 'modules')] }
+        })
+        expect(reasons(exported)).to.have.members([
+          '@fn: custom resolver functions cannot be exported',
+          '@fallback: only the first fallback target is used',
+          '@feature/*/api: wildcard aliases are not supported by eslint-import-resolver-alias',
+          '/^@re\\/(\\w+)$/: RegExp aliases are not supported by eslint-import-resolver-alias',
+          '/^@ci\\/(\\w+)$/i: RegExp aliases are not supported by eslint-import-resolver-alias'
+        ])
+      })
+    })
+
+    it('should export tsconfig paths', function () {
+      var exported = moduleAlias.manager.toTsconfigPaths({ baseUrl: __dirname })
+
+      expect(exported.config.compilerOptions.paths).to.deep.equal({
+        '@feature/*/api': ['src/*/baz'],
+        '@src': ['src'],
+        '@src/*': ['src/*']
+      })
+    })
+  })
+
   it('should register multiple aliases (addAliases)', function () {
     moduleAlias.addAliases({
       '@src': path.join(__dirname, 'src'),
@@ -153,6 +1442,10 @@ describe('enhanced-module-alias', function () {
 
         var indexJs = fs.readFileSync(path.resolve('.', 'index.js'))
         fs.writeFileSync(moduleAliasLocation, indexJs)
+        fs.mkdirSync(path.join(moduleAliasDir, 'lib'), { recursive: true })
+        fs.readdirSync(path.resolve('.', 'lib')).forEach(function (file) {
+          fs.copyFileSync(path.resolve('.', 'lib', file), path.join(moduleAliasDir, 'lib', file))
+        })
         linkedModuleAlias = require(moduleAliasDir)
       })
 
@@ -162,6 +1455,9 @@ describe('enhanced-module-alias', function () {
         }
         try {
           fs.unlinkSync(moduleAliasLocation)
+          fs.readdirSync(path.join(moduleAliasDir, 'lib')).forEach(function (file) {
+            fs.unlinkSync(path.join(moduleAliasDir, 'lib', file))
+          })
         } catch (e) {
           // Ignore cleanup errors
         }
@@ -175,6 +1471,36 @@ describe('enhanced-module-alias', function () {
     })
   })
 
+  describe('importing paths from tsconfig.json', function () {
+    var tsconfig = path.join(__dirname, 'src/tsconfig/tsconfig.json')
+
+    it('should register paths and baseUrl (addTsconfig)', function () {
+      moduleAlias.addTsconfig(tsconfig)
+
+      expect(require('@ts-foo')).to.equal('Hello from foo')
+      expect(require('@ts/baz')).to.equal('Hello from baz')
+      expect(require('@ts-inner/bar/index')).to.equal('Hello from baz')
+      expect(require('some-module')).to.equal('Hello from some-module')
+    })
+
+    it('should remap targets to outDir', function () {
+      moduleAlias.addTsconfig(tsconfig, { outDir: true })
+
+      expect(moduleAlias.manager.moduleAliases['@ts-foo'])
+        .to.equal(path.join(__dirname, 'src/dist/foo/index.js'))
+    })
+
+    it('should import paths through init', function () {
+      moduleAlias({
+        base: path.join(__dirname, 'src'),
+        tsconfig: './tsconfig/tsconfig.json',
+        hotReload: false
+      })
+
+      expect(require('@ts-foo')).to.equal('Hello from foo')
+    })
+  })
+
   context('when used from the REPL', function () {
     before(function () {
       if (require.main) {
@@ -248,6 +1574,307 @@ describe('enhanced-module-alias', function () {
     })
   }
 
+  if (semver.gte(process.version, '20.6.0')) {
+    it('should resolve aliases in ES modules (register-esm)', function (done) {
+      this.timeout(10000)
+      var command = 'node --import ' + path.join(__dirname, '../register-esm.js') + ' esm/main.mjs'
+      // Watchers do not hold the event loop open, so the script exits without reset()
+      exec(command, { cwd: path.join(__dirname, 'src'), timeout: 8000 }, function (error, stdout) {
+        if (error) return done(error)
+        expect(stdout.trim().split('\n')).to.deep.equal([
+          'Hello from foo',
+          'Hello from baz',
+          'Hello from baz',
+          'Hello from foo'
+        ])
+        done()
+      })
+    })
+  }
+
+  describe('Codemod', function () {
+    var src = path.join(__dirname, 'src')
+
+    beforeEach(function () {
+      moduleAlias.addAliases({
+        '@foo': path.join(src, 'foo/index.js'),
+        '@bar': path.join(src, 'bar'),
+        'some/foo': path.join(src, 'foo')
+      })
+    })
+
+    it('should rewrite relative specifiers into the shortest alias', function () {
+      var file = path.join(src, 'codemod/nested/deep/app.jsx')
+      var before = fs.readFileSync(file, 'utf8')
+      var results = moduleAlias.codemod(file, { dryRun: true })
+
+      expect(fs.readFileSync(file, 'utf8')).to.equal(before)
+      expect(results).to.have.length(1)
+      expect(results[0].changes.map(function (change) { return change.to })).to.deep.equal([
+        '@foo', '@bar/baz', '@bar', '@bar/baz', '@foo'
+      ])
+      expect(results[0].diff).to.have.string('@@ -1,5 +1,5 @@\n')
+      expect(results[0].diff).to.have.string('-import { baz } from "../../../bar/baz"\n')
+      expect(results[0].diff).to.have.string('+import { baz } from "@bar/baz"\n')
+      expect(results[0].diff).to.not.have.string('hello-world-classic')
+      expect(results[0].diff).to.not.have.string('<div')
+    })
+
+    it('should rewrite aliases back into relative specifiers (reverse)', function () {
+      var results = moduleAlias.codemod(path.join(src, 'codemod/aliased.js'), { dryRun: true, reverse: true })
+
+      expect(results[0].changes.map(function (change) { return change.to })).to.deep.equal([
+        '../bar/baz', '../foo/index.js'
+      ])
+    })
+
+    describe('in a workspace', function () {
+      var workspace = path.join(src, 'workspace')
+
+      beforeEach(function () {
+        moduleAlias.reset()
+        moduleAlias({ base: workspace, workspaces: true, hotReload: false })
+      })
+
+      it('should rewrite into the aliases of the package of each file', function () {
+        var results = moduleAlias.codemod('packages/a/relative.js', { dryRun: true, cwd: workspace })
+
+        expect(results[0].changes.map(function (change) { return change.to })).to.deep.equal(['@lib'])
+      })
+
+      it('should rewrite aliases back into the targets of the package of each file (reverse)', function () {
+        var results = moduleAlias.codemod(['index.js', 'packages/*/index.js'], { dryRun: true, reverse: true, cwd: workspace })
+
+        expect(results.map(function (result) {
+          return [path.relative(workspace, result.file), result.changes[0].to]
+        })).to.have.deep.members([
+          ['index.js', './shared'],
+          [path.join('packages', 'a', 'index.js'), './lib'],
+          [path.join('packages', 'b', 'index.js'), './src/lib']
+        ])
+      })
+    })
+  })
+
+  describe('Static analysis', function () {
+    var src = path.join(__dirname, 'src')
+
+    beforeEach(function () {
+      moduleAlias.addAliases({
+        '@src': src,
+        '@foo': path.join(src, 'foo/index.js'),
+        '@bar': path.join(src, 'bar')
+      })
+    })
+
+    it('should report unresolvable specifiers with their location', function () {
+      var result = moduleAlias.analyze('analyze/**/*.js', { cwd: src })
+
+      expect(result.files).to.equal(1)
+      expect(result.specifiers).to.equal(8)
+      expect(result.unresolved.map(function (entry) {
+        return [entry.line, entry.column, entry.kind, entry.specifier, entry.alias]
+      })).to.deep.equal([
+        [5, 25, 'require', '@bar/missing', '@bar'],
+        [13, 22, 'dynamic-import', '@src/nowhere', '@src'],
+        [15, 27, 'require.resolve', 'not-installed-package', null]
+      ])
+      expect(result.unresolved[0].request).to.equal(path.join(src, 'bar/missing'))
+    })
+
+    it('should format a report for CI', function () {
+      var result = moduleAlias.analyze([path.join(src, 'analyze')])
+      var report = moduleAlias.formatAnalysis(result, { cwd: src }).split('\n')
+
+      expect(report[0]).to.equal(
+        path.join('analyze', 'app.js') + ':5:25  @bar/missing (alias @bar -> ' + path.join(src, 'bar/missing') +
+        "): Cannot find module '" + path.join(src, 'bar/missing') + "'"
+      )
+      expect(report[report.length - 1]).to.equal('3 unresolvable of 8 specifiers in 1 files')
+      expect(JSON.parse(moduleAlias.formatAnalysis(result, { format: 'json' }))).to.deep.equal(result)
+    })
+
+    it('should check specifiers against the aliases of their package', function () {
+      var workspace = path.join(src, 'workspace')
+      moduleAlias.reset()
+      moduleAlias({ base: workspace, workspaces: true, hotReload: false })
+
+      var result = moduleAlias.analyze('packages', { cwd: workspace })
+
+      expect(result.unresolved.map(function (entry) {
+        return [path.relative(workspace, entry.file), entry.specifier, entry.alias, entry.request]
+      })).to.deep.equal([
+        [path.join('packages', 'b', 'broken.js'), '@lib/missing', '@lib', path.join(workspace, 'packages/b/src/lib/missing')]
+      ])
+    })
+  })
+
+  describe('Boundary rules', function () {
+    var fixture = path.join(__dirname, 'src/boundaries')
+
+    beforeEach(function () {
+      moduleAlias.addConfigFile(path.join(fixture, '.superaliasrc.json'))
+    })
+
+    it('should warn or throw when a file imports a disallowed alias', function () {
+      var events = []
+      moduleAlias.on('boundaryViolation', function (violation) { events.push(violation) })
+
+      expect(require(path.join(fixture, 'ui/button.js'))).to.equal('types')
+      expect(require(path.join(fixture, 'ui/page.js'))).to.equal('db')
+      expect(events).to.have.length(1)
+      expect(events[0]).to.include({ parent: path.join(fixture, 'ui/page.js'), request: '@db', alias: '@db', pattern: '@db', mode: 'warn' })
+
+      expect(function () { require(path.join(fixture, 'ui/legacy/old.js')) })
+        .to.throw('Boundary violation in ' + path.join(fixture, 'ui/legacy/old.js') + ': Legacy UI must not grow new server imports')
+
+      var report = moduleAlias.getBoundaryReport()
+      expect(report.total).to.equal(2)
+      expect(report.violations.map(function (violation) { return [violation.request, violation.mode, violation.count] }))
+        .to.deep.equal([['@db', 'warn', 1], ['@server/api', 'error', 1]])
+
+      moduleAlias.manager.setRulesMode('off')
+      expect(require(path.join(fixture, 'ui/legacy/old.js'))).to.equal('api')
+    })
+
+    it('should apply the strictest rule whatever the order, without logging a resolution failure', function () {
+      var config = path.join(fixture, '.superaliasrc.json')
+      moduleAlias.manager.setSourceRules(config, JSON.parse(fs.readFileSync(config, 'utf8')).rules.reverse(), fixture)
+
+      var logs = []
+      moduleAlias.on('log', function (entry) { logs.push(entry.message) })
+
+      // Node skips resolution for a cached request from the same directory
+      var old = path.join(fixture, 'ui/legacy/old.js')
+      delete require.cache[old]
+      delete require.cache[path.join(fixture, 'server/api.js')]
+
+      var error
+      try {
+        require(old)
+      } catch (e) {
+        error = e
+      }
+
+      expect(error.code).to.equal('ERR_ALIAS_BOUNDARY')
+      expect(error.violation).to.include({ mode: 'error', message: 'Legacy UI must not grow new server imports' })
+      expect(logs).to.not.include('Module resolution failed')
+      expect(error).to.not.have.property('aliasDiagnostics')
+    })
+
+    it('should check source files statically', function () {
+      var result = moduleAlias.checkBoundaries('ui/**/*.js', { cwd: fixture })
+
+      expect(result.files).to.equal(3)
+      expect(result.violations.map(function (entry) {
+        return [path.relative(fixture, entry.file), entry.line, entry.specifier, entry.mode]
+      })).to.deep.equal([
+        [path.join('ui', 'legacy', 'old.js'), 1, '@server/api', 'error'],
+        [path.join('ui', 'page.js'), 1, '@db', 'warn']
+      ])
+      expect(moduleAlias.formatBoundaries(result, { cwd: fixture }).split('\n').pop())
+        .to.equal('2 boundary violations (1 errors) in 3 files')
+    })
+
+    it('should reject invalid rules in config files', function () {
+      expect(function () {
+        moduleAlias.manager.validatePackageConfig({ superAlias: { rules: [{ from: 'src/**', disallow: ['@db'], mode: 'fatal' }] } }, 'package.json')
+      }).to.throw(/rules\[0\]\.mode/)
+    })
+  })
+
+  describe('Command line', function () {
+    var bin = path.join(__dirname, '../bin/super-alias.js')
+
+    function cli (args, callback) {
+      var command = '"' + process.execPath + '" "' + bin + '" ' + args
+      exec(command, { cwd: path.join(__dirname, 'src') }, callback)
+    }
+
+    it('should exit with 1 when a file breaks an error mode boundary rule', function (done) {
+      this.timeout(10000)
+      cli('boundaries boundaries/ui --base boundaries', function (error, stdout) {
+        expect(error && error.code).to.equal(1)
+        expect(stdout).to.have.string(path.join('boundaries', 'ui', 'legacy', 'old.js') + ':1:26  error  @server/api: Legacy UI must not grow new server imports')
+        expect(stdout).to.have.string('2 boundary violations (1 errors) in 3 files')
+        done()
+      })
+    })
+
+    it('should list aliases and module paths with their source', function (done) {
+      this.timeout(10000)
+      cli('list --json', function (error, stdout) {
+        if (error) return done(error)
+        var listed = JSON.parse(stdout)
+        var foo = listed.aliases.filter(function (entry) { return entry.alias === '@foo' })[0]
+
+        expect(foo.target).to.equal(path.join(__dirname, 'src/foo/index.js'))
+        expect(foo.source).to.equal(path.join(__dirname, 'src/package.json'))
+        expect(listed.paths[0].path).to.equal(path.join(__dirname, 'src/node_modules_custom'))
+        done()
+      })
+    })
+
+    it('should resolve a specifier to its file', function (done) {
+      this.timeout(10000)
+      cli('resolve @cond --conditions super-alias-test', function (error, stdout) {
+        if (error) return done(error)
+        expect(stdout).to.have.string('condition: super-alias-test')
+        expect(stdout).to.have.string('file:      ' + path.join(__dirname, 'src/foo/index.js'))
+        done()
+      })
+    })
+
+    it('should explain a resolution', function (done) {
+      this.timeout(10000)
+      cli('explain @fallback/baz --json', function (error, stdout) {
+        if (error) return done(error)
+        var trace = JSON.parse(stdout)
+        expect(trace.fallbacks).to.deep.equal([
+          { target: path.join(__dirname, 'src/missing'), resolves: false },
+          { target: path.join(__dirname, 'src/bar'), resolves: true }
+        ])
+        expect(trace.filename).to.equal(path.join(__dirname, 'src/bar/baz/index.js'))
+        done()
+      })
+    })
+
+    it('should fail the check on missing targets and overlapping aliases', function (done) {
+      this.timeout(10000)
+      cli('check --base cli', function (error, stdout, stderr) {
+        expect(error.code).to.equal(1)
+        expect(stderr).to.have.string('@missing: target ' + path.join(__dirname, 'src/cli/nowhere') + ' does not exist')
+        expect(stderr).to.have.string('@app/utils overlaps @app')
+        done()
+      })
+    })
+
+    it('should export a config', function (done) {
+      this.timeout(10000)
+      cli('export tsconfig', function (error, stdout) {
+        if (error) return done(error)
+        var paths = JSON.parse(stdout).compilerOptions.paths
+
+        expect(paths['@bar/*']).to.deep.equal(['bar/*'])
+        expect(paths['*']).to.deep.equal(['node_modules_custom/*'])
+        done()
+      })
+    })
+
+    it('should export vite aliases and warn about RegExp finds', function (done) {
+      this.timeout(10000)
+      cli('export vite --base vite', function (error, stdout, stderr) {
+        if (error) return done(error)
+
+        expect(JSON.parse(stdout).alias).to.deep.equal([
+          { find: '@app', replacement: path.join(__dirname, 'src/vite/src') }
+        ])
+        expect(stderr).to.have.string('RegExp aliases cannot be printed as JSON')
+        done()
+      })
+    })
+  })
+
   describe('Custom handler function', function () {
     it('should addAlias', function () {
       moduleAlias.addAlias('@src', function (fromPath, request, alias) {
@@ -325,6 +1952,74 @@ describe('enhanced-module-alias', function () {
         .catch(done)
     })
 
+    it('should resolve async aliases to filenames and reuse them for require', function (done) {
+      var calls = []
+      moduleAlias.addAsyncAlias('@remote', function (fromPath, request) {
+        calls.push(request)
+        return new Promise(function (resolve) {
+          setTimeout(function () { resolve(path.join(__dirname, 'src/bar')) }, 5)
+        })
+      })
+
+      expect(function () { require.resolve('@remote/baz') }).to.throw(/Async alias '@remote' has not been resolved/)
+
+      moduleAlias.resolveAsync('@remote/baz', module)
+        .then(function (filename) {
+          expect(filename).to.equal(path.join(__dirname, 'src/bar/baz/index.js'))
+          expect(require('@remote/baz')).to.equal('Hello from baz')
+          expect(calls).to.deep.equal(['@remote/baz'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should settle async targets per parent module and drop them on removal', function (done) {
+      var Module = require('module')
+      var parents = ['src/foo', 'src/bar/baz'].map(function (dir) {
+        var filename = path.join(__dirname, dir, 'index.js')
+        return { id: filename, filename: filename, paths: Module._nodeModulePaths(path.dirname(filename)) }
+      })
+      var resolver = function (fromPath) {
+        return Promise.resolve(path.dirname(fromPath))
+      }
+      moduleAlias.addAsyncAlias('@sibling', resolver)
+
+      Promise.all(parents.map(function (parent) { return moduleAlias.resolveAsync('@sibling', parent) }))
+        .then(function (filenames) {
+          expect(filenames).to.deep.equal([path.join(__dirname, 'src/foo/index.js'), path.join(__dirname, 'src/bar/baz/index.js')])
+          expect(Module._resolveFilename('@sibling', parents[1])).to.equal(path.join(__dirname, 'src/bar/baz/index.js'))
+          expect(function () { require.resolve('@sibling') }).to.throw(/has not been resolved/)
+
+          moduleAlias.removeAlias('@sibling')
+          expect(moduleAlias.manager.asyncResolvers.has(resolver)).to.equal(false)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should preload async aliases', function (done) {
+      moduleAlias.addAsyncAlias('@preloaded', function () {
+        return Promise.resolve(path.join(__dirname, 'src/foo'))
+      })
+      moduleAlias.addAsyncAlias('@failing', function () {
+        return Promise.resolve('')
+      }, { scope: path.join(__dirname, 'src/workspace') })
+
+      moduleAlias.preload()
+        .then(function () { done(new Error('preload should fail')) })
+        .catch(function (error) {
+          expect(error.message).to.match(/Async resolver of alias '@failing' must resolve to a valid path string/)
+          moduleAlias.removeAlias('@failing', { scope: path.join(__dirname, 'src/workspace') })
+          return moduleAlias.preload()
+        })
+        .then(function (preloaded) {
+          expect(preloaded).to.deep.equal(['@preloaded'])
+          expect(require.resolve('@preloaded')).to.equal(path.join(__dirname, 'src/foo/index.js'))
+          done()
+        })
+        .catch(done)
+    })
+
     it('should emit events', function (done) {
       moduleAlias.on('aliasAdded', function (data) {
         expect(data.alias).to.equal('@event-test')
@@ -0,0 +1,18 @@
+'use strict'
+
+const foo = require('@foo')
+const baz = require('@bar/baz')
+const missing = require('@bar/missing')
+const path = require('node:path')
+const fs = require('fs')
+
+module.exports = {
+  foo,
+  baz,
+  missing,
+  lazy: () => import('@src/nowhere'),
+  hello: require.resolve('hello-world-classic'),
+  absent: require.resolve('not-installed-package'),
+  path,
+  fs
+}
@@ -0,0 +1 @@
+module.exports = require('@server/api')
@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+  baz: require('@bar/baz'),
+  foo: require('@foo')
+}
@@ -0,0 +1,13 @@
+import foo from '../../../foo/index.js'
+import { baz } from "../../../bar/baz"
+export * from '../../../bar'
+const lazy = () => import('../../../bar/baz')
+const path = require.resolve('../../../foo')
+
+// Left alone: not under an alias target, or not a specifier
+const pkg = require('hello-world-classic')
+const text = '../../../bar'
+
+export default function App () {
+  return <div title='../../../bar'>{foo}{baz}{lazy}{path}{pkg}{text}</div>
+}
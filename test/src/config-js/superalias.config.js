@@ -0,0 +1,9 @@
+'use strict'
+
+const path = require('path')
+
+module.exports = {
+  aliases: {
+    '@fn': (fromPath, request, alias) => path.join(__dirname, '../config/rc')
+  }
+}
@@ -0,0 +1,17 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
+import moduleAlias from '../../../index.js'
+import foo from '@foo'
+import baz from '@bar/baz'
+
+const dirname = path.dirname(fileURLToPath(import.meta.url))
+
+moduleAlias.addAlias('@runtime', path.join(dirname, '../bar'))
+moduleAlias.addAlias('@resolver', function () {
+  return path.join(dirname, '../foo')
+})
+
+const runtime = await import('@runtime/baz')
+const resolver = await import('@resolver')
+
+console.log([foo, baz, runtime.default, resolver.default].join('\n'))
@@ -0,0 +1,3 @@
+const b = require('@lazy/b')
+
+module.exports = { name: 'a', b }
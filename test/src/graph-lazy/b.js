@@ -0,0 +1,9 @@
+// Neither of these gets the unfinished exports of a.js
+const resolved = require.resolve('@lazy/a')
+
+module.exports = {
+  resolved,
+  get a () {
+    return require('@lazy/a')
+  }
+}
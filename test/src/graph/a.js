@@ -0,0 +1,3 @@
+const b = require('@graph/b')
+
+module.exports = { name: 'a', b }
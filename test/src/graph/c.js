@@ -0,0 +1,4 @@
+// Gets the unfinished exports of a.js
+const a = require('@graph/a')
+
+module.exports = { name: 'c', sawA: Object.keys(a).length > 0 }
@@ -0,0 +1,47 @@
+'use strict'
+
+// Run in a child process: checks that the shared hooks are installed once
+// and removed with the last manager, also below another library's hook
+const Module = require('module')
+const path = require('path')
+
+const original = Module._resolveFilename
+const alias = require('../../..')
+const hooked = Module._resolveFilename
+
+const instance = new alias.ModuleAliasManager()
+const stacked = Module._resolveFilename !== hooked
+
+instance.addAlias('@instance', path.join(__dirname, '../foo'))
+const resolvedByInstance = require('@instance')
+
+alias.dispose()
+const stillHooked = Module._resolveFilename === hooked
+instance.dispose()
+const restored = Module._resolveFilename === original
+
+// Another library wrapping _resolveFilename after us
+const other = new alias.ModuleAliasManager()
+const ours = Module._resolveFilename
+Module._resolveFilename = function (request, ...args) {
+  return ours.call(this, request === 'other-lib' ? path.join(__dirname, '../bar/baz') : request, ...args)
+}
+other.addAlias('@other', path.join(__dirname, '../foo'))
+other.dispose()
+
+let aliasAfterDispose
+try {
+  require('@other')
+} catch (e) {
+  aliasAfterDispose = e.code
+}
+
+console.log(JSON.stringify({
+  hooked: hooked !== original,
+  stacked,
+  resolvedByInstance,
+  stillHooked,
+  restored,
+  otherLibrary: require('other-lib'),
+  aliasAfterDispose
+}))
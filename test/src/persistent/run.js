@@ -0,0 +1,15 @@
+'use strict'
+
+// Loads <base>/main.js with a persistent cache and reports what it did
+const moduleAlias = require('../../..')
+const base = process.argv[2]
+
+// Resolved on every run, never persisted
+moduleAlias.addAlias('@fn', () => `${base}/lib`)
+
+moduleAlias({ base, hotReload: false, persistentCache: '.cache/super-alias.json' })
+
+console.log(JSON.stringify({
+  values: require(`${base}/main.js`),
+  cache: moduleAlias.getStats().persistentCache
+}))
@@ -0,0 +1 @@
+process.send({ propagated: require('@propagated'), tenant: require('@tenant'), own: require('@own') }, () => process.disconnect())
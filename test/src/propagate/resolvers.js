@@ -0,0 +1,3 @@
+const path = require('path')
+
+exports.tenant = () => path.join(__dirname, '../foo')
@@ -0,0 +1 @@
+require('worker_threads').parentPort.postMessage(require('@propagated/baz'))
@@ -0,0 +1,3 @@
+const payment = require('@services/payment')
+
+module.exports = { payment }
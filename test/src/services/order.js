@@ -0,0 +1,3 @@
+const checkout = require('@services/checkout')
+
+module.exports = { checkout }
@@ -0,0 +1,7 @@
+'use strict'
+
+// Hot reload is on by default; the watchers must not keep this process alive
+const moduleAlias = require('../../..')
+
+moduleAlias({ base: process.argv[2], tsconfig: true })
+console.log(moduleAlias.manager.watchers.size)
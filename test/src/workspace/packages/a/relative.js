@@ -0,0 +1,2 @@
+// The root library stays relative: @lib means ./lib in this package
+module.exports = [require('./lib'), require('../../shared')]